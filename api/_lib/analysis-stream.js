@@ -0,0 +1,146 @@
+// Streams a provider response to the client using the SSE protocol in sse.js
+// Shared by every streaming endpoint (/analyze/stream, /analyze/ask) so they
+// emit identical start/hazard/chunk/complete/error/done events.
+import { createHazardDetector } from './hazard-detector.js';
+import { SSE_PROTOCOL_VERSION, SSE_HEADERS, encodeEvent } from './sse.js';
+
+// provider     - vision provider (see providers/index.js)
+// parts        - provider-neutral parts (prompt + images)
+// options      - generation options passed to generateStream
+// requestStart - ms timestamp latencies are measured from
+// tag          - log prefix of the calling endpoint
+// detectHazards - scan output for hazards (default true)
+export function streamAnalysis({ provider, parts, options, requestStart, tag, detectHazards = true }) {
+  // Aborted when the client disconnects so the provider call stops (and stops billing)
+  const abortController = new AbortController();
+  let cancelled = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      try {
+        console.log(`[${tag}] Stream controller started`);
+
+        // Event 1: Start - connection established
+        console.log(`[${tag}] Sending start event...`);
+        controller.enqueue(encodeEvent('start', {
+          status: 'started',
+          protocolVersion: SSE_PROTOCOL_VERSION,
+          model: provider.model,
+          timestamp: new Date(requestStart).toISOString(),
+        }));
+        console.log(`[${tag}] ✅ Start event sent`);
+
+        const textStream = provider.generateStream(parts, { ...options, signal: abortController.signal });
+
+        console.log(`[${tag}] ✅ Provider stream opened, starting to stream chunks...`);
+        let chunkCount = 0;
+        let firstChunkLatency = null;
+        let fullText = '';
+        const hazards = [];
+        const hazardDetector = createHazardDetector();
+
+        const sendHazards = (found) => {
+          for (const hazard of found) {
+            console.log(`[${tag}] ⚠️ Hazard detected:`, hazard);
+            hazards.push(hazard);
+            controller.enqueue(encodeEvent('hazard', hazard));
+          }
+        };
+
+        // Event 2: Chunks - continuously stream text as it arrives from the model
+        // (providers only yield non-empty text)
+        for await (const text of textStream) {
+          if (cancelled) {
+            break;
+          }
+          chunkCount++;
+          console.log(`[${tag}] Chunk ${chunkCount} received:`, { textLength: text.length });
+
+          // Hazards go out before the chunk that completes them so the
+          // client can interrupt speech before the sentence is queued
+          if (detectHazards) {
+            sendHazards(hazardDetector.push(text));
+          }
+          const latency = Date.now() - requestStart;
+          if (firstChunkLatency === null) {
+            firstChunkLatency = latency;
+            console.log(`[${tag}] ⏱️ First chunk after ${latency}ms`);
+          }
+          fullText += text;
+          controller.enqueue(encodeEvent('chunk', { text, index: chunkCount - 1, latency }));
+          console.log(`[${tag}] ✅ Chunk ${chunkCount} sent to client`);
+        }
+
+        if (cancelled) {
+          return;
+        }
+
+        console.log(`[${tag}] ✅ All chunks processed (total: ${chunkCount})`);
+        if (detectHazards) {
+          sendHazards(hazardDetector.flush());
+        }
+
+        // Event 3: Complete - stream finished
+        console.log(`[${tag}] Sending complete event...`);
+        controller.enqueue(encodeEvent('complete', {
+          done: true,
+          data: { text: fullText.trim(), hazards },
+          latency: { total: Date.now() - requestStart, firstChunk: firstChunkLatency },
+          chunks: chunkCount,
+        }));
+
+        // Event 4: Done - always last, lets the client release its UI
+        controller.enqueue(encodeEvent('done', { status: 'ok' }));
+        controller.close();
+        console.log(`[${tag}] ✅ Stream closed successfully`);
+
+      } catch (error) {
+        // The client is gone - the abort surfaces here and there is no one to tell
+        if (cancelled) {
+          console.log(`[${tag}] Provider stream aborted after client disconnect`);
+          return;
+        }
+
+        // Error - replaces complete if something goes wrong
+        console.error(`[${tag}] ❌ Error in stream:`, {
+          message: error.message,
+          name: error.name,
+          stack: error.stack,
+          errorObject: error,
+          errorString: String(error),
+          errorJSON: JSON.stringify(error, Object.getOwnPropertyNames(error))
+        });
+
+        // Extract meaningful error message
+        let errorMessage = error.message || 'Unknown error';
+        const status = error.status || error.response?.status;
+
+        // Handle provider API errors
+        if (error.response || error.status) {
+          const statusText = error.statusText || error.response?.statusText;
+
+          if (status === 429) {
+            errorMessage = 'Rate limit exceeded. Please wait before trying again.';
+          } else if (status) {
+            errorMessage = `API Error ${status}: ${statusText || errorMessage}`;
+          }
+        }
+
+        // Send error event
+        controller.enqueue(encodeEvent('error', { error: errorMessage, ...(status && { status }) }));
+        controller.enqueue(encodeEvent('done', { status: 'error' }));
+        controller.close();
+      }
+    },
+
+    // Client disconnected - stop the provider request
+    cancel(reason) {
+      console.log(`[${tag}] 🔌 Client disconnected, aborting provider stream`, reason ?? '');
+      cancelled = true;
+      abortController.abort(reason);
+    },
+  });
+
+  // Headers optimized to prevent buffering and enable real-time streaming
+  return new Response(stream, { headers: SSE_HEADERS });
+}
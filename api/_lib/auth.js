@@ -0,0 +1,142 @@
+// Device token authentication for the API
+//
+// Tokens are `<payload>.<signature>`, both base64url. The payload is JSON:
+//   { sub: deviceId, jti: tokenId, iat, exp }   (seconds since epoch)
+// and the signature is HMAC-SHA256(payload, AUTH_SECRET) via Web Crypto, so it
+// runs unchanged on the edge runtime.
+//
+//   AUTH_SECRET          signing secret; auth is disabled while it is unset
+//   AUTH_TOKEN_TTL       token lifetime in seconds (default 86400)
+//   AUTH_REVOKED         comma-separated token ids (jti) or device ids (sub) to reject
+import { jsonResponse } from './http.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Expired tokens can still be exchanged for a fresh one within this window
+export const REFRESH_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+export function getAuthConfig() {
+  const ttl = parseInt(process.env.AUTH_TOKEN_TTL, 10);
+  return {
+    secret: process.env.AUTH_SECRET || '',
+    enabled: !!process.env.AUTH_SECRET,
+    ttlSeconds: Number.isFinite(ttl) && ttl > 0 ? ttl : 24 * 60 * 60,
+    revoked: new Set((process.env.AUTH_REVOKED || '').split(',').map((id) => id.trim()).filter(Boolean)),
+  };
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function hmacKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+export async function signToken(claims, secret) {
+  const payload = toBase64Url(encoder.encode(JSON.stringify(claims)));
+  const signature = await crypto.subtle.sign('HMAC', await hmacKey(secret), encoder.encode(payload));
+  return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// Issue a token for a device; returns { token, expiresAt } (expiresAt in ms)
+export async function issueToken(deviceId, { secret, ttlSeconds }) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    sub: deviceId,
+    jti: crypto.randomUUID(),
+    iat: now,
+    exp: now + ttlSeconds,
+  };
+  return { token: await signToken(claims, secret), expiresAt: claims.exp * 1000 };
+}
+
+// Returns { valid, claims, reason }. `allowExpiredFor` (seconds) is used by the
+// refresh flow so a recently expired token can still prove the device identity.
+export async function verifyToken(token, { secret, revoked }, { allowExpiredFor = 0 } = {}) {
+  const [payload, signature, extra] = (token || '').split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  let claims;
+  try {
+    const ok = await crypto.subtle.verify(
+      'HMAC',
+      await hmacKey(secret),
+      fromBase64Url(signature),
+      encoder.encode(payload)
+    );
+    if (!ok) {
+      return { valid: false, reason: 'bad_signature' };
+    }
+    claims = JSON.parse(decoder.decode(fromBase64Url(payload)));
+  } catch (e) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (revoked.has(claims.jti) || revoked.has(claims.sub)) {
+    return { valid: false, reason: 'revoked', claims };
+  }
+  if (claims.exp + allowExpiredFor < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'expired', claims };
+  }
+  return { valid: true, claims };
+}
+
+export function getBearerToken(request) {
+  const authorization = request.headers.get('authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+}
+
+// Verification middleware for protected endpoints.
+// Returns { claims } when the request may proceed (claims is null while auth
+// is disabled) or { response } with a 401 to send back as-is.
+export async function requireAuth(request, { tag = 'AUTH' } = {}) {
+  const authConfig = getAuthConfig();
+  if (!authConfig.enabled) {
+    return { claims: null };
+  }
+
+  const token = getBearerToken(request);
+  if (!token) {
+    console.warn(`[${tag}] ⛔ Missing device token`);
+    return { response: unauthorized('Device token required', 'missing') };
+  }
+
+  const result = await verifyToken(token, authConfig);
+  if (!result.valid) {
+    console.warn(`[${tag}] ⛔ Device token rejected:`, { reason: result.reason, sub: result.claims?.sub });
+    return { response: unauthorized('Invalid device token', result.reason) };
+  }
+
+  return { claims: result.claims };
+}
+
+function unauthorized(error, reason) {
+  return jsonResponse({
+    success: false,
+    error,
+    reason,
+    speech: 'I could not connect securely. Please try again.',
+  }, 401, {
+    'WWW-Authenticate': `Bearer error="invalid_token", error_description="${reason}"`,
+  });
+}
@@ -0,0 +1,96 @@
+// Canned model output for the fixture provider (VISION_PROVIDER=fixture)
+//
+// RESPONSES is keyed by query type. `stream` is the plain-text description used
+// by /analyze/stream; the other keys are the JSON objects /analyze/vision
+// expects for each query. `*_hazard` variants are served when the fixture
+// scenario is "hazard".
+//
+// RESPONSES_BY_IMAGE_HASH overrides RESPONSES for a specific image. The
+// fixture provider logs the hash of every image it receives, so to pin a
+// response to a capture, copy the hash from the server log and add an entry:
+//
+//   'a1b2c3d4': { stream: 'Door at 2 o\'clock, 6 feet.', check_obstacles: { ... } },
+
+export const RESPONSES = {
+  stream: 'Path is clear. Indoor hallway with a beige carpet. Door at 2 o\'clock, about 10 feet ahead. Exit sign above the door.',
+
+  stream_hazard: 'Warning: stairs going down 2 feet ahead at 12 o\'clock. Handrail on your right. Indoor stairwell with good lighting.',
+
+  ask: 'The sign above the door says Exit. The door at 2 o\'clock is closed.',
+
+  read_text_stream: 'Sign: Conference Room B. Meeting in progress. Please knock. Some text is cut off at the bottom, move the camera down.',
+
+  check_obstacles: {
+    pathClear: true,
+    obstacles: [],
+    speech: 'Path is clear',
+  },
+
+  check_obstacles_hazard: {
+    pathClear: false,
+    obstacles: [
+      { type: 'stairs_down', position: 'directly ahead', distance: 'immediate', urgent: true },
+      { type: 'person', position: 'slightly left', distance: 'far', urgent: false },
+    ],
+    speech: 'Warning: stairs going down directly ahead',
+  },
+
+  identify_room: {
+    roomType: 'corridor',
+    confidence: 0.86,
+    keyFeatures: ['long carpeted floor', 'doors on both sides', 'ceiling lights'],
+    doors: [
+      { position: '2 o\'clock', type: 'door', status: 'closed' },
+      { position: '10 o\'clock', type: 'door', status: 'open' },
+    ],
+    landmarks: ['exit sign', 'fire extinguisher'],
+    speech: 'Corridor. Closed door at 2 o\'clock, open door at 10 o\'clock.',
+  },
+
+  describe_scene: {
+    roomType: 'corridor',
+    description: 'A long indoor hallway with doors on both sides. An exit sign hangs above the far door.',
+    obstacles: [],
+    landmarks: ['exit sign', 'fire extinguisher at 9 o\'clock'],
+    speech: 'Hallway ahead, path clear. Doors on both sides, exit sign straight ahead.',
+  },
+
+  read_text: {
+    textFound: true,
+    blocks: [
+      { text: 'Please knock.', order: 3, position: 'bottom', confidence: 0.7 },
+      { text: 'Conference Room B', order: 1, position: 'top', confidence: 0.97 },
+      { text: 'Meeting in progress', order: 2, position: 'center', confidence: 0.92 },
+    ],
+    partial: true,
+    partialReason: 'text cut off at the bottom edge, move the camera down',
+    speech: 'Sign: Conference Room B. Meeting in progress. Please knock. Some text is cut off, move the camera down.',
+  },
+
+  find_object: {
+    found: true,
+    clockPosition: 2,
+    distance: 'close',
+    centered: false,
+    confidence: 0.84,
+    guidance: 'Move the camera right a little.',
+    speech: 'Found it at 2 o\'clock, about 4 feet away, on the table. Move the camera right a little.',
+  },
+
+  validate_position: {
+    isSameLocation: true,
+    confidence: 0.82,
+    detectedRoom: 'corridor',
+    matchingFeatures: ['exit sign', 'door on the right'],
+    missingFeatures: [],
+    unexpectedFeatures: ['chair'],
+    correctionNeeded: false,
+    suggestedAdjustment: null,
+    speech: 'You are on track. Keep going straight.',
+  },
+};
+
+export const RESPONSES_BY_IMAGE_HASH = {};
+
+// Truncated output used by the "malformed_json" scenario
+export const MALFORMED_JSON = '{"pathClear": false, "obstacles": [{"type": "stairs_down", "position": "directly';
@@ -0,0 +1,156 @@
+// Incremental hazard detection over streamed model output
+// Text is fed in as it arrives from the model; every time a sentence completes
+// it is checked for a leading "Warning:" or hazard vocabulary (stairs, curbs,
+// drops, ...) and turned into a structured hazard the SSE stream can emit
+// ahead of the remaining chunks.
+
+// Ordered most specific first - the first matching entry wins
+const HAZARD_PATTERNS = [
+  { type: 'stairs_down', pattern: /\b(stairs?|steps?|staircase)\b[^.!?]*\b(down|descend\w*|going down)\b|\b(down|descending)\s+(stairs?|steps?)\b/i },
+  { type: 'stairs_up', pattern: /\b(stairs?|steps?|staircase)\b[^.!?]*\b(up|ascend\w*|going up)\b|\b(up|ascending)\s+(stairs?|steps?)\b/i },
+  { type: 'stairs', pattern: /\b(stairs?|staircase|stairway|steps)\b/i },
+  { type: 'curb', pattern: /\b(curbs?|kerbs?)\b/i },
+  { type: 'drop', pattern: /\b(drop[- ]?off|ledge|edge of (the )?platform|sudden drop|hole|open manhole)\b/i },
+  { type: 'elevation_change', pattern: /\b(elevation change|ramp|slope|uneven (ground|floor|surface|pavement)|raised (floor|platform|threshold))\b/i },
+  { type: 'wet_floor', pattern: /\b(wet|slippery|icy) (floor|ground|surface|pavement)\b|\bwet floor\b/i },
+  { type: 'vehicle', pattern: /\b(car|cars|vehicle|vehicles|bicycle|bike|scooter|traffic|bus|truck)\b[^.!?]*\b(approaching|moving|coming|passing|driving)\b/i },
+  { type: 'head_level', pattern: /\b(head[- ]level|low[- ]hanging|overhead)\b/i },
+];
+
+const WARNING_PREFIX = /^\s*(warning|caution|danger|careful)\s*[:!,-]\s*/i;
+const SENTENCE_END = /([.!?]+)\s+/g;
+
+// Distances that make a hazard critical rather than merely high
+const IMMEDIATE_DISTANCE = /\b(immediately|directly in front|right in front|within (1|2|one|two) (foot|feet)|(1|2|one|two) (foot|feet)|half a (step|meter|metre)|next step|one step)\b/i;
+
+function clockToDirection(hour) {
+  if (hour === 12 || hour === 11 || hour === 1) return 'ahead';
+  if (hour >= 2 && hour <= 4) return 'right';
+  if (hour >= 8 && hour <= 10) return 'left';
+  return 'behind';
+}
+
+// Direction phrases, not bare words: "one step left" and "all right" say nothing
+// about where something is. Each entry gives direction and clock position.
+const DIRECTION_PATTERNS = [
+  { pattern: /\b(1[0-2]|[1-9])\s*o'?\s*clock\b/gi, resolve: (match) => {
+    const clockPosition = parseInt(match[1], 10);
+    return { direction: clockToDirection(clockPosition), clockPosition };
+  } },
+  { pattern: /\bslightly (?:to (?:your|the) )?(left|right)\b/gi, resolve: (match) => (
+    match[1].toLowerCase() === 'left'
+      ? { direction: 'left', clockPosition: 11 }
+      : { direction: 'right', clockPosition: 1 }
+  ) },
+  { pattern: /\b(?:(?:to|on|at) (?:your|the|my) (left|right)|(left|right)[- ]hand side)\b/gi, resolve: (match) => (
+    (match[1] || match[2]).toLowerCase() === 'left'
+      ? { direction: 'left', clockPosition: 9 }
+      : { direction: 'right', clockPosition: 3 }
+  ) },
+  { pattern: /\b(?:ahead|in front|straight|forward)\b/gi, resolve: () => ({ direction: 'ahead', clockPosition: 12 }) },
+  { pattern: /\bbehind\b/gi, resolve: () => ({ direction: 'behind', clockPosition: 6 }) },
+];
+
+// The direction nearest the hazard wins: "curb on your right, door on the left"
+// is a curb to the right. `start`/`end` locate the hazard words in the sentence.
+function detectDirection(sentence, start = 0, end = start) {
+  let best = null;
+  for (const { pattern, resolve } of DIRECTION_PATTERNS) {
+    for (const match of sentence.matchAll(pattern)) {
+      const matchEnd = match.index + match[0].length;
+      const gap = matchEnd <= start ? start - matchEnd : Math.max(0, match.index - end);
+      // Ties keep the earlier (more specific) pattern
+      if (!best || gap < best.gap) {
+        best = { gap, ...resolve(match) };
+      }
+    }
+  }
+
+  return best
+    ? { direction: best.direction, clockPosition: best.clockPosition }
+    : { direction: 'unknown', clockPosition: null };
+}
+
+// Classify a single complete sentence; returns null if it is not a hazard
+export function classifySentence(sentence) {
+  const trimmed = sentence.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const hasWarningPrefix = WARNING_PREFIX.test(trimmed);
+  const body = trimmed.replace(WARNING_PREFIX, '');
+  const matched = HAZARD_PATTERNS.find(({ pattern }) => pattern.test(body));
+
+  // "Path is clear" style sentences never count, even if they mention stairs far off
+  if (!hasWarningPrefix && (!matched || /\b(no|clear of|without)\b[^.!?]*\b(stairs?|steps|curbs?|obstacles?|hazards?)\b/i.test(body))) {
+    return null;
+  }
+
+  // Where the hazard words are, to pick the direction that belongs to them
+  const hazardMatch = matched ? body.match(matched.pattern) : null;
+  const hazardStart = hazardMatch ? hazardMatch.index : 0;
+  const hazardEnd = hazardMatch ? hazardMatch.index + hazardMatch[0].length : 0;
+
+  let severity;
+  if (hasWarningPrefix) {
+    severity = IMMEDIATE_DISTANCE.test(body) ? 'critical' : 'high';
+  } else {
+    severity = IMMEDIATE_DISTANCE.test(body) ? 'high' : 'medium';
+  }
+
+  return {
+    type: matched ? matched.type : 'obstacle',
+    severity,
+    ...detectDirection(body, hazardStart, hazardEnd),
+    text: body,
+  };
+}
+
+// Stateful detector: push() each chunk, flush() once the model is done.
+// Each hazard type is reported at most once per response so a model that
+// repeats itself doesn't trigger a second interruption on the client.
+export function createHazardDetector() {
+  let buffer = '';
+  const reportedTypes = new Set();
+
+  const checkSentence = (sentence, found) => {
+    const hazard = classifySentence(sentence);
+    if (hazard && !reportedTypes.has(hazard.type)) {
+      reportedTypes.add(hazard.type);
+      found.push(hazard);
+    }
+  };
+
+  return {
+    push(text) {
+      const found = [];
+      if (!text) {
+        return found;
+      }
+
+      buffer += text;
+      SENTENCE_END.lastIndex = 0;
+      let lastIndex = 0;
+      let match;
+
+      while ((match = SENTENCE_END.exec(buffer)) !== null) {
+        checkSentence(buffer.substring(lastIndex, match.index + match[1].length), found);
+        lastIndex = match.index + match[0].length;
+      }
+
+      if (lastIndex > 0) {
+        buffer = buffer.substring(lastIndex);
+      }
+
+      return found;
+    },
+
+    flush() {
+      const found = [];
+      checkSentence(buffer, found);
+      buffer = '';
+      return found;
+    },
+  };
+}
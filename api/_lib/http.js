@@ -0,0 +1,16 @@
+// Small response helpers shared by the edge handlers
+
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+};
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...CORS_HEADERS,
+      ...headers,
+    },
+  });
+}
@@ -0,0 +1,93 @@
+// Image payload validation for the analyze endpoints
+// Images arrive as base64 strings. The real format is sniffed from the magic
+// bytes rather than trusted from the client, and the decoded size is checked
+// against MAX_IMAGE_BYTES (default 2MB, matching config.app.maxImageSize).
+import { jsonResponse } from './http.js';
+
+export const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const DATA_URL_PREFIX = /^data:[\w/+.-]+;base64,/;
+
+export function getMaxImageBytes() {
+  const value = parseInt(process.env.MAX_IMAGE_BYTES, 10);
+  return Number.isFinite(value) && value > 0 ? value : 2 * 1024 * 1024;
+}
+
+export function sniffImageType(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (bytes.length >= 8 && [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a].every((byte, i) => bytes[i] === byte)) {
+    return 'image/png';
+  }
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+  if (bytes.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+function failure(status, error, speech) {
+  return { ok: false, status, error, speech };
+}
+
+// Returns { ok: true, data, mimeType, byteLength } with `data` stripped of any
+// data: URL prefix, or { ok: false, status, error, speech }
+export function validateImage(image, { maxBytes = getMaxImageBytes(), label = 'image' } = {}) {
+  if (typeof image !== 'string' || image.length === 0) {
+    return failure(400, `${label} must be a base64 string`, 'I did not receive an image. Please try again.');
+  }
+
+  const data = image.replace(DATA_URL_PREFIX, '').replace(/\s+/g, '');
+  if (data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+    return failure(400, `${label} is not valid base64`, 'The image was damaged on the way. Please try again.');
+  }
+
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  const byteLength = (data.length / 4) * 3 - padding;
+  if (byteLength > maxBytes) {
+    return failure(
+      413,
+      `${label} is ${byteLength} bytes, limit is ${maxBytes}`,
+      'That image is too large. Please try again.'
+    );
+  }
+
+  // Only the header is needed to identify the format
+  let header;
+  try {
+    header = Uint8Array.from(atob(data.slice(0, 24)), (char) => char.charCodeAt(0));
+  } catch (e) {
+    return failure(400, `${label} is not valid base64`, 'The image was damaged on the way. Please try again.');
+  }
+
+  const mimeType = sniffImageType(header);
+  if (!mimeType) {
+    return failure(
+      415,
+      `${label} is not a supported image (expected ${SUPPORTED_IMAGE_TYPES.join(', ')})`,
+      'That file is not a photo I can read. Please try again.'
+    );
+  }
+
+  return { ok: true, data, mimeType, byteLength };
+}
+
+// Reject obviously oversized bodies before reading them (base64 adds a third)
+export function checkContentLength(request, { images = 1, maxBytes = getMaxImageBytes() } = {}) {
+  const contentLength = parseInt(request.headers.get('content-length'), 10);
+  const limit = Math.ceil((maxBytes * 4) / 3) * images + 64 * 1024;
+  if (Number.isFinite(contentLength) && contentLength > limit) {
+    return failure(413, `Request body is ${contentLength} bytes, limit is ${limit}`, 'That image is too large. Please try again.');
+  }
+  return { ok: true };
+}
+
+export function imageErrorResponse(result) {
+  return jsonResponse({
+    success: false,
+    error: result.error,
+    speech: result.speech,
+  }, result.status);
+}
@@ -0,0 +1,21 @@
+// Errors shared by all vision providers
+
+// Backend is selected but not usable (missing key, unknown provider name, ...)
+export class ProviderConfigError extends Error {
+  constructor(message, hint) {
+    super(message);
+    this.name = 'ProviderConfigError';
+    this.hint = hint;
+  }
+}
+
+// Upstream call failed. `status` mirrors the upstream HTTP status so handlers
+// can keep treating 429 as a rate limit regardless of the backend.
+export class ProviderError extends Error {
+  constructor(message, { status, provider } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.provider = provider;
+  }
+}
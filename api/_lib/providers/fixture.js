@@ -0,0 +1,119 @@
+// Deterministic offline provider for local development and tests
+//
+// Serves canned responses from ../fixtures/responses.js instead of calling a
+// model, so the whole client flow works without network or API key.
+//
+//   FIXTURE_SCENARIO          ok (default) | hazard | rate_limit | malformed_json
+//   FIXTURE_FIRST_CHUNK_MS    delay before the first streamed chunk (default 400)
+//   FIXTURE_CHUNK_DELAY_MS    delay between streamed chunks (default 120)
+//
+// The scenario can be overridden per request with an X-Fixture-Scenario header.
+import { ProviderError } from './errors.js';
+import { RESPONSES, RESPONSES_BY_IMAGE_HASH, MALFORMED_JSON } from '../fixtures/responses.js';
+
+const SCENARIOS = ['ok', 'hazard', 'rate_limit', 'malformed_json'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function readDelay(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// FNV-1a over the base64 payload - cheap and stable across runtimes
+export function hashImage(data) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Split text into small word groups so the client sees realistic chunk boundaries
+function toChunks(text) {
+  const words = text.split(/(?<=\s)/);
+  const chunks = [];
+  for (let i = 0; i < words.length; i += 3) {
+    chunks.push(words.slice(i, i + 3).join(''));
+  }
+  return chunks;
+}
+
+function rateLimitError() {
+  return new ProviderError('Resource has been exhausted (fixture rate_limit scenario)', {
+    status: 429,
+    provider: 'fixture',
+  });
+}
+
+export function createFixtureProvider({ request } = {}) {
+  const requested = (request?.headers.get('x-fixture-scenario') || process.env.FIXTURE_SCENARIO || 'ok')
+    .trim()
+    .toLowerCase();
+  const scenario = SCENARIOS.includes(requested) ? requested : 'ok';
+  const firstChunkDelay = readDelay('FIXTURE_FIRST_CHUNK_MS', 400);
+  const chunkDelay = readDelay('FIXTURE_CHUNK_DELAY_MS', 120);
+
+  // Pick the canned response: image hash first, then query type (+ hazard variant)
+  const lookup = (parts, query) => {
+    const images = parts.filter((part) => part.image);
+    const lastImage = images[images.length - 1];
+    const hash = lastImage ? hashImage(lastImage.image.data) : null;
+    console.log('[FIXTURE] Lookup:', { query, scenario, imageHash: hash });
+
+    const pinned = hash && RESPONSES_BY_IMAGE_HASH[hash];
+    if (pinned && Object.hasOwn(pinned, query)) {
+      return pinned[query];
+    }
+    if (scenario === 'hazard' && Object.hasOwn(RESPONSES, `${query}_hazard`)) {
+      return RESPONSES[`${query}_hazard`];
+    }
+    return Object.hasOwn(RESPONSES, query) ? RESPONSES[query] : RESPONSES.describe_scene;
+  };
+
+  const asText = (response) => (typeof response === 'string' ? response : JSON.stringify(response));
+
+  return {
+    name: 'fixture',
+    model: `fixture-${scenario}`,
+
+    async generate(parts, options = {}) {
+      await sleep(firstChunkDelay);
+      if (scenario === 'rate_limit') {
+        throw rateLimitError();
+      }
+      if (scenario === 'malformed_json') {
+        return { text: MALFORMED_JSON, raw: null };
+      }
+      const text = asText(lookup(parts, options.query || 'describe_scene'));
+      return { text, raw: null };
+    },
+
+    async *generateStream(parts, options = {}) {
+      await sleep(firstChunkDelay);
+      if (scenario === 'rate_limit') {
+        throw rateLimitError();
+      }
+
+      const text = scenario === 'malformed_json'
+        ? MALFORMED_JSON
+        : asText(lookup(parts, options.query || 'stream'));
+
+      for (const [index, chunk] of toChunks(text).entries()) {
+        if (index > 0) {
+          await sleep(chunkDelay);
+        }
+        yield chunk;
+      }
+
+      // Simulate the upstream connection dying mid-response
+      if (scenario === 'malformed_json') {
+        throw new ProviderError('Malformed response from model (fixture malformed_json scenario)', {
+          status: 502,
+          provider: 'fixture',
+        });
+      }
+    },
+  };
+}
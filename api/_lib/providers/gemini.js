@@ -0,0 +1,75 @@
+// Google Gemini vision provider (@google/genai SDK)
+import { GoogleGenAI } from '@google/genai';
+import { ProviderConfigError } from './errors.js';
+
+// Convert provider-neutral parts to Gemini content parts
+function toGeminiParts(parts) {
+  return parts.map((part) => {
+    if (part.image) {
+      return { inlineData: { mimeType: part.image.mimeType, data: part.image.data } };
+    }
+    return { text: part.text };
+  });
+}
+
+function toGeminiConfig(options) {
+  const generationConfig = {};
+  if (options.maxOutputTokens !== undefined) generationConfig.maxOutputTokens = options.maxOutputTokens;
+  if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+  if (options.responseFormat === 'json') generationConfig.responseMimeType = 'application/json';
+  if (options.signal) generationConfig.abortSignal = options.signal;
+  return generationConfig;
+}
+
+// The SDK has exposed text in a few places across versions
+function extractText(response) {
+  if (response.text) {
+    return response.text;
+  }
+  if (response.response?.text) {
+    return response.response.text;
+  }
+  return response.candidates?.[0]?.content?.parts
+    ?.map((part) => part.text || '')
+    .join('') || '';
+}
+
+export function createGeminiProvider({ apiKey, model }) {
+  // Ensure API key is a string (Edge runtime compatibility)
+  if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
+    throw new ProviderConfigError(
+      'GEMINI_API_KEY not configured',
+      'Set GEMINI_API_KEY in .env.local or Vercel environment variables'
+    );
+  }
+
+  const ai = new GoogleGenAI({ apiKey: String(apiKey) });
+
+  const request = (parts, options) => ({
+    model: options.model || model,
+    contents: [{ role: 'user', parts: toGeminiParts(parts) }],
+    config: toGeminiConfig(options),
+  });
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(parts, options = {}) {
+      const response = await ai.models.generateContent(request(parts, options));
+      return { text: extractText(response), raw: response };
+    },
+
+    async *generateStream(parts, options = {}) {
+      const response = await ai.models.generateContentStream(request(parts, options));
+      for await (const chunk of response) {
+        const text = extractText(chunk);
+        if (text) {
+          yield text;
+        } else {
+          console.warn('[PROVIDER] ⚠️ Gemini chunk has no text:', Object.keys(chunk));
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// Vision provider layer shared by the analyze endpoints
+//
+// A provider turns a list of parts into model text:
+//   generate(parts, options)        -> Promise<{ text, raw }>
+//   generateStream(parts, options)  -> AsyncIterable<string>
+//
+// Parts are provider-neutral:
+//   { text: '...' }
+//   { image: { mimeType: 'image/jpeg', data: '<base64>' } }
+//
+// Options: { model, maxOutputTokens, temperature, responseFormat: 'text' | 'json', signal, query }
+// `query` names the endpoint's query type; real backends ignore it, the
+// fixture provider uses it to pick a canned response.
+//
+// The backend is chosen with VISION_PROVIDER (default: gemini).
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createFixtureProvider } from './fixture.js';
+import { ProviderConfigError } from './errors.js';
+
+export { ProviderConfigError, ProviderError } from './errors.js';
+
+export const textPart = (text) => ({ text });
+export const imagePart = (data, mimeType = 'image/jpeg') => ({ image: { mimeType, data } });
+
+// defaultModel lets each endpoint keep its own Gemini default; the
+// GEMINI_MODEL / OPENAI_MODEL env variables still take precedence.
+// `request` is only read by the fixture provider (X-Fixture-Scenario header).
+export function getVisionProvider({ defaultModel, request } = {}) {
+  const name = (process.env.VISION_PROVIDER || 'gemini').trim().toLowerCase();
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || defaultModel || 'gemini-2.0-flash',
+      });
+
+    case 'openai':
+      return createOpenAIProvider({
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      });
+
+    case 'fixture':
+      return createFixtureProvider({ request });
+
+    default:
+      throw new ProviderConfigError(
+        `Unknown VISION_PROVIDER "${name}"`,
+        'Set VISION_PROVIDER to one of: gemini, openai, fixture'
+      );
+  }
+}
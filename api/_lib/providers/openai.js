@@ -0,0 +1,124 @@
+// OpenAI-compatible vision provider (plain fetch, Chat Completions API)
+// Works against api.openai.com as well as self-hosted servers that speak the
+// same protocol (vLLM, llama.cpp server, Ollama, LM Studio, ...).
+import { ProviderError } from './errors.js';
+
+function toMessages(parts) {
+  const content = parts.map((part) => {
+    if (part.image) {
+      return {
+        type: 'image_url',
+        image_url: { url: `data:${part.image.mimeType};base64,${part.image.data}` },
+      };
+    }
+    return { type: 'text', text: part.text };
+  });
+  return [{ role: 'user', content }];
+}
+
+async function readError(response) {
+  const body = await response.text().catch(() => '');
+  try {
+    const parsed = JSON.parse(body);
+    return parsed.error?.message || parsed.message || body;
+  } catch (e) {
+    return body || response.statusText;
+  }
+}
+
+export function createOpenAIProvider({ baseUrl, apiKey, model }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const post = async (parts, options, stream) => {
+    const body = {
+      model: options.model || model,
+      messages: toMessages(parts),
+      stream,
+    };
+    if (options.maxOutputTokens !== undefined) body.max_tokens = options.maxOutputTokens;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.responseFormat === 'json') body.response_format = { type: 'json_object' };
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually run without a key
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      const message = await readError(response);
+      throw new ProviderError(`OpenAI-compatible API error ${response.status}: ${message}`, {
+        status: response.status,
+        provider: 'openai',
+      });
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(parts, options = {}) {
+      const response = await post(parts, options, false);
+      const json = await response.json();
+      return { text: json.choices?.[0]?.message?.content || '', raw: json };
+    },
+
+    async *generateStream(parts, options = {}) {
+      const response = await post(parts, options, true);
+      if (!response.body) {
+        throw new ProviderError('OpenAI-compatible API returned no stream body', { provider: 'openai' });
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) {
+            break;
+          }
+
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) {
+              continue;
+            }
+
+            const data = trimmed.slice(5).trim();
+            if (data === '[DONE]') {
+              return;
+            }
+
+            try {
+              const text = JSON.parse(data).choices?.[0]?.delta?.content;
+              if (text) {
+                yield text;
+              }
+            } catch (e) {
+              console.warn('[PROVIDER] ⚠️ Skipping unparseable stream line:', data.substring(0, 100));
+            }
+          }
+        }
+      } finally {
+        // [DONE], an early return by the consumer or an error - release the connection
+        reader.cancel().catch(() => {});
+      }
+    },
+  };
+}
@@ -0,0 +1,197 @@
+// Per-client token-bucket rate limiting for the analyze endpoints
+//
+// Each client gets a bucket of RATE_LIMIT_BURST tokens that refills at
+// RATE_LIMIT_PER_MINUTE tokens per minute; every analyze request costs one.
+// All analyze endpoints share the bucket because they share the upstream quota.
+//
+//   RATE_LIMIT_PER_MINUTE   refill rate (default 15, the Gemini free tier)
+//   RATE_LIMIT_BURST        bucket size (default 5)
+//   RATE_LIMIT_STORE        memory (default) | kv
+//   KV_REST_API_URL / KV_REST_API_TOKEN   Redis REST endpoint for the kv store
+//
+// The memory store lives in the edge isolate, so limits are per instance. Use
+// the kv store when several instances must share one budget.
+import { jsonResponse } from './http.js';
+
+// --- Stores: get(key) -> state | null, set(key, state, ttlSeconds) ---
+
+// Expired entries are only dropped on read, so once the map holds maxEntries
+// keys a write sweeps them; if it is still full, the oldest keys are evicted
+// (Map keeps insertion order) so many distinct clients can't grow it forever.
+export function createMemoryStore({ maxEntries = 10000 } = {}) {
+  const entries = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+    for (const key of entries.keys()) {
+      if (entries.size < maxEntries) {
+        break;
+      }
+      entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      // Re-insert so the key moves to the end of the eviction order
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        sweep();
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+  };
+}
+
+// Redis over REST (Vercel KV / Upstash command API). Read-modify-write is not
+// atomic, so concurrent requests from one client may occasionally both pass.
+export function createKVStore({ url, token }) {
+  const command = async (args) => {
+    const response = await fetch(url.replace(/\/+$/, ''), {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(args),
+    });
+    if (!response.ok) {
+      throw new Error(`KV store error ${response.status}`);
+    }
+    return (await response.json()).result;
+  };
+
+  return {
+    async get(key) {
+      const result = await command(['GET', key]);
+      return result ? JSON.parse(result) : null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await command(['SET', key, JSON.stringify(value), 'EX', String(Math.ceil(ttlSeconds))]);
+    },
+  };
+}
+
+// --- Token bucket ---
+
+export function createRateLimiter({ perMinute, burst, store }) {
+  const refillPerMs = perMinute / 60000;
+  // Long enough for an empty bucket to refill completely
+  const ttlSeconds = Math.ceil(burst / refillPerMs / 1000) + 1;
+
+  return {
+    async consume(key, cost = 1) {
+      const now = Date.now();
+      const state = (await store.get(key)) || { tokens: burst, updatedAt: now };
+      const tokens = Math.min(burst, state.tokens + (now - state.updatedAt) * refillPerMs);
+
+      if (tokens < cost) {
+        await store.set(key, { tokens, updatedAt: now }, ttlSeconds);
+        return {
+          allowed: false,
+          remaining: 0,
+          retryAfter: Math.ceil((cost - tokens) / refillPerMs / 1000),
+        };
+      }
+
+      await store.set(key, { tokens: tokens - cost, updatedAt: now }, ttlSeconds);
+      return { allowed: true, remaining: Math.floor(tokens - cost), retryAfter: 0 };
+    },
+  };
+}
+
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function createStore() {
+  if ((process.env.RATE_LIMIT_STORE || 'memory').toLowerCase() === 'kv') {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (url && token) {
+      return createKVStore({ url, token });
+    }
+    console.warn('[RATE_LIMIT] ⚠️ RATE_LIMIT_STORE=kv but KV_REST_API_URL/KV_REST_API_TOKEN missing, using memory store');
+  }
+  return createMemoryStore();
+}
+
+// Created lazily so env changes in tests/dev are picked up on first use
+let defaultLimiter = null;
+function getDefaultLimiter() {
+  if (!defaultLimiter) {
+    defaultLimiter = createRateLimiter({
+      perMinute: readNumber('RATE_LIMIT_PER_MINUTE', 15),
+      burst: readNumber('RATE_LIMIT_BURST', 5),
+      store: createStore(),
+    });
+  }
+  return defaultLimiter;
+}
+
+// Identify the caller by client IP. Headers the client controls (like an
+// unverified bearer token) must not pick the bucket, or a fresh value per
+// request gets a fresh bucket; per-device keys come from verified claims only.
+export function getClientKey(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  const ip = (forwarded && forwarded.split(',')[0].trim()) || request.headers.get('x-real-ip') || 'unknown';
+  return `ip:${ip}`;
+}
+
+export function rateLimitResponse(retryAfter) {
+  const seconds = Math.max(1, retryAfter);
+  return jsonResponse({
+    success: false,
+    error: 'Rate limit exceeded',
+    retryAfter: seconds,
+    speech: `Too many requests. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`,
+  }, 429, {
+    'Retry-After': String(seconds),
+    'Access-Control-Expose-Headers': 'Retry-After',
+  });
+}
+
+// Returns a 429 Response when the caller is over its budget, otherwise null.
+// `clientKey` replaces the IP key (e.g. a separate bucket for token issuance).
+// `deviceId` (verified requireAuth claims only) adds a device bucket on top of
+// the IP one: device ids are free to enroll, so they must not replace it.
+// A broken store must not take the endpoints down, so store errors fail open.
+export async function enforceRateLimit(request, { tag = 'RATE_LIMIT', clientKey, deviceId } = {}) {
+  const keys = [`ratelimit:${clientKey || getClientKey(request)}`];
+  if (deviceId) {
+    keys.push(`ratelimit:device:${deviceId}`);
+  }
+  try {
+    const limiter = getDefaultLimiter();
+    for (const key of keys) {
+      const result = await limiter.consume(key);
+      if (!result.allowed) {
+        console.warn(`[${tag}] ⛔ Rate limit exceeded:`, { key, retryAfter: result.retryAfter });
+        return rateLimitResponse(result.retryAfter);
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error(`[${tag}] ❌ Rate limit store failed, allowing request:`, error.message);
+    return null;
+  }
+}
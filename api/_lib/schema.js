@@ -0,0 +1,124 @@
+// Minimal JSON schema validator for model output
+//
+// Supports the subset the vision schemas need:
+//   type: 'object' | 'array' | 'string' | 'number' | 'integer' | 'boolean'
+//   properties / required (objects), items (arrays), enum (strings),
+//   minimum / maximum (numbers), nullable, default
+//
+// Validation also normalizes: missing fields get their default, unknown object
+// keys are dropped, numeric/boolean strings are coerced and enum values are
+// matched case-insensitively ("Living Room" -> "living_room"). The returned
+// value therefore always has the schema's shape when `valid` is true.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function describe(value) {
+  return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+}
+
+const at = (path) => path || '(root)';
+
+function matchEnum(value, options) {
+  if (options.includes(value)) {
+    return value;
+  }
+  const normalize = (text) => text.trim().toLowerCase().replace(/[\s_-]+/g, '_');
+  const normalized = normalize(value);
+  return options.find((option) => normalize(option) === normalized);
+}
+
+function check(schema, value, path, errors) {
+  if (value === null) {
+    if (schema.nullable) {
+      return null;
+    }
+    errors.push(`${at(path)}: must not be null`);
+    return value;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (describe(value) !== 'object') {
+        errors.push(`${at(path)}: expected object, got ${describe(value)}`);
+        return value;
+      }
+      const result = {};
+      const required = schema.required || [];
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        const propPath = path ? `${path}.${key}` : key;
+        if (value[key] === undefined) {
+          if ('default' in propSchema) {
+            result[key] = clone(propSchema.default);
+          } else if (required.includes(key)) {
+            errors.push(`${propPath}: required field missing`);
+          }
+          continue;
+        }
+        result[key] = check(propSchema, value[key], propPath, errors);
+      }
+      return result;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${at(path)}: expected array, got ${describe(value)}`);
+        return value;
+      }
+      return value.map((item, index) => check(schema.items || {}, item, `${path}[${index}]`, errors));
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        errors.push(`${at(path)}: expected string, got ${describe(value)}`);
+        return value;
+      }
+      if (schema.enum) {
+        const matched = matchEnum(value, schema.enum);
+        if (matched === undefined) {
+          errors.push(`${at(path)}: expected one of ${schema.enum.join('|')}, got "${value}"`);
+          return value;
+        }
+        return matched;
+      }
+      return value;
+    }
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || Number.isNaN(number)) {
+        errors.push(`${at(path)}: expected number, got ${describe(value)}`);
+        return value;
+      }
+      if (schema.type === 'integer' && !Number.isInteger(number)) {
+        errors.push(`${at(path)}: expected integer, got ${number}`);
+      }
+      if (schema.minimum !== undefined && number < schema.minimum) {
+        errors.push(`${at(path)}: ${number} is below minimum ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && number > schema.maximum) {
+        errors.push(`${at(path)}: ${number} is above maximum ${schema.maximum}`);
+      }
+      return number;
+    }
+
+    case 'boolean': {
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      if (typeof value !== 'boolean') {
+        errors.push(`${at(path)}: expected boolean, got ${describe(value)}`);
+      }
+      return value;
+    }
+
+    default:
+      return value;
+  }
+}
+
+export function validate(schema, value) {
+  const errors = [];
+  const result = check(schema, value, '', errors);
+  return { valid: errors.length === 0, value: result, errors };
+}
@@ -0,0 +1,40 @@
+// SideKick SSE event protocol (version 1)
+//
+// Every streaming endpoint answers a POST with a text/event-stream body made of
+// the events below, in this order. All payloads are JSON objects.
+//
+//   start     { status: 'started', protocolVersion, model, timestamp }
+//             Sent as soon as the stream opens, before the model is called.
+//   hazard    { type, severity, direction, clockPosition, text }
+//             Zero or more, interleaved with chunks. Sent before the chunk that
+//             completes the hazard sentence (see hazard-detector.js).
+//   chunk     { text, index, latency }
+//             One per model chunk. `index` is 0-based, `latency` is ms since the
+//             request reached the server.
+//   complete  { done: true, data: { text, hazards }, latency: { total, firstChunk }, chunks }
+//             `data.text` is the full concatenated response. `latency.firstChunk`
+//             is the server-measured time to first token (null if none arrived).
+//   error     { error, status? }
+//             Replaces `complete` when the model call fails.
+//   done      { status: 'ok' | 'error' }
+//             Always the last event; clients release their UI on it.
+//
+// Bump SSE_PROTOCOL_VERSION whenever a field is removed or changes meaning.
+// Adding fields is backwards compatible and does not need a bump.
+
+export const SSE_PROTOCOL_VERSION = 1;
+
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no', // Disable nginx buffering
+  'Access-Control-Allow-Origin': '*',
+};
+
+const encoder = new TextEncoder();
+
+// Encode a single SSE message ready to enqueue on a ReadableStream controller
+export function encodeEvent(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
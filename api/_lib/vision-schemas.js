@@ -0,0 +1,152 @@
+// Response schemas for /analyze/vision query types (see schema.js for the supported subset)
+// These are the shapes clients can rely on: every field listed here is present
+// in a successful response, with the default filled in if the model omitted it.
+
+const confidence = { type: 'number', minimum: 0, maximum: 1 };
+const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+const speech = { type: 'string', default: 'Analysis complete.' };
+
+export const DISTANCES = ['immediate', 'close', 'far'];
+
+// Rough location of a text block within the frame (3x3 grid)
+export const TEXT_POSITIONS = [
+  'top left', 'top', 'top right',
+  'left', 'center', 'right',
+  'bottom left', 'bottom', 'bottom right',
+];
+
+export const VISION_SCHEMAS = {
+  validate_position: {
+    type: 'object',
+    required: ['isSameLocation', 'confidence'],
+    properties: {
+      isSameLocation: { type: 'boolean' },
+      confidence,
+      detectedRoom: { type: 'string', default: 'unknown' },
+      matchingFeatures: stringList,
+      missingFeatures: stringList,
+      unexpectedFeatures: stringList,
+      correctionNeeded: { type: 'boolean', default: false },
+      suggestedAdjustment: { type: 'string', nullable: true, default: null },
+      speech,
+    },
+  },
+
+  identify_room: {
+    type: 'object',
+    required: ['roomType', 'confidence'],
+    properties: {
+      roomType: {
+        type: 'string',
+        enum: ['bedroom', 'bathroom', 'kitchen', 'corridor', 'living_room', 'entrance', 'lift_lobby', 'stairwell', 'other'],
+      },
+      confidence,
+      keyFeatures: stringList,
+      doors: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['position'],
+          properties: {
+            position: { type: 'string' },
+            type: { type: 'string', enum: ['door', 'archway', 'opening'], default: 'door' },
+            status: { type: 'string', enum: ['open', 'closed', 'unknown'], default: 'unknown' },
+          },
+        },
+      },
+      landmarks: stringList,
+      speech,
+    },
+  },
+
+  check_obstacles: {
+    type: 'object',
+    required: ['pathClear'],
+    properties: {
+      pathClear: { type: 'boolean' },
+      obstacles: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['type', 'distance'],
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['stairs_up', 'stairs_down', 'person', 'furniture', 'door', 'object', 'curb', 'elevation_change', 'wet_floor', 'other'],
+            },
+            position: {
+              type: 'string',
+              enum: ['directly ahead', 'slightly left', 'slightly right', 'to the left', 'to the right'],
+              default: 'directly ahead',
+            },
+            distance: { type: 'string', enum: DISTANCES },
+            urgent: { type: 'boolean', default: false },
+          },
+        },
+      },
+      speech: { type: 'string', default: 'Path is clear' },
+    },
+  },
+
+  read_text: {
+    type: 'object',
+    required: ['textFound'],
+    properties: {
+      textFound: { type: 'boolean' },
+      blocks: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['text', 'order'],
+          properties: {
+            text: { type: 'string' },
+            order: { type: 'integer', minimum: 1 },
+            position: { type: 'string', enum: TEXT_POSITIONS, default: 'center' },
+            confidence: { ...confidence, default: 0.5 },
+          },
+        },
+      },
+      // Text is cut off by the frame edge or too blurry/small to read fully
+      partial: { type: 'boolean', default: false },
+      partialReason: { type: 'string', nullable: true, default: null },
+      speech: { type: 'string', default: 'No readable text found.' },
+    },
+  },
+
+  find_object: {
+    type: 'object',
+    required: ['found'],
+    properties: {
+      found: { type: 'boolean' },
+      // 12 = straight ahead, 3 = right, 9 = left; null when not found
+      clockPosition: { type: 'integer', minimum: 1, maximum: 12, nullable: true, default: null },
+      distance: { type: 'string', enum: DISTANCES, nullable: true, default: null },
+      // Object is roughly in the middle of the frame
+      centered: { type: 'boolean', default: false },
+      confidence: { ...confidence, default: 0.5 },
+      guidance: { type: 'string', default: 'Turn slowly to scan the room.' },
+      speech: { type: 'string', default: 'Not found yet. Turn slowly to scan the room.' },
+    },
+  },
+
+  describe_scene: {
+    type: 'object',
+    required: ['speech'],
+    properties: {
+      roomType: { type: 'string', default: 'unknown' },
+      description: { type: 'string', default: '' },
+      obstacles: stringList,
+      landmarks: stringList,
+      speech: { type: 'string' },
+    },
+  },
+};
+
+// Unknown query types are answered with the describe_scene prompt, so they get its schema too
+// (own keys only - the query comes from the request, "constructor" must not reach the prototype)
+export function getVisionSchema(query) {
+  return Object.hasOwn(VISION_SCHEMAS, query) ? VISION_SCHEMAS[query] : VISION_SCHEMAS.describe_scene;
+}
@@ -0,0 +1,174 @@
+// REST API endpoint: POST follow-up question about a previously captured image → Returns SSE stream
+// Flow: Client sends question + last image + answer history → Server streams the answer
+// using the same SSE protocol as /analyze/stream (see api/_lib/sse.js)
+import { getVisionProvider, textPart, imagePart } from '../../_lib/providers/index.js';
+import { enforceRateLimit } from '../../_lib/rate-limit.js';
+import { requireAuth } from '../../_lib/auth.js';
+import { validateImage, checkContentLength, imageErrorResponse } from '../../_lib/image.js';
+import { streamAnalysis } from '../../_lib/analysis-stream.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+export const config = {
+  runtime: 'edge',
+};
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_HISTORY_TURNS = 6;
+const MAX_ANSWER_LENGTH = 1000;
+
+// Keep only well-formed, recent turns and cap their size
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+  return history
+    .filter((turn) => turn && typeof turn.question === 'string' && typeof turn.answer === 'string')
+    .slice(-MAX_HISTORY_TURNS)
+    .map((turn) => ({
+      question: turn.question.trim().substring(0, MAX_QUESTION_LENGTH),
+      answer: turn.answer.trim().substring(0, MAX_ANSWER_LENGTH),
+    }));
+}
+
+function buildPrompt(question, history) {
+  const conversation = history.length > 0
+    ? history.map((turn) => `User: ${turn.question}\nSideKick: ${turn.answer}`).join('\n\n')
+    : '(none)';
+
+  return `You are SideKick, an AI visual assistant helping a blind or visually impaired user. The user has already heard a description of this image and is asking a follow-up question about the SAME scene. They cannot see the image.
+
+CONVERSATION SO FAR:
+${conversation}
+
+FOLLOW-UP QUESTION:
+${question}
+
+RULES:
+- Answer only from what is visible in the image. If it cannot be determined, say so plainly and suggest how to get a better view (e.g. "move closer", "turn slightly left")
+- If the question concerns safety and there is a hazard, start with "Warning:"
+- Read text exactly as written when asked what something says
+- Use clock positions (12 o'clock = straight ahead) and distances in feet/meters for locations
+- Never say "I see" or "In this image" - just answer directly
+- Keep answers under 40 words unless reading text aloud`;
+}
+
+export default async function handler(request) {
+  // All latencies reported to the client are measured from here
+  const requestStart = Date.now();
+
+  console.log('[ASK] Request received:', {
+    method: request.method,
+    url: request.url,
+  });
+
+  // CORS preflight
+  if (request.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Fixture-Scenario',
+      },
+    });
+  }
+
+  if (request.method !== 'POST') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  // Pick the vision backend (VISION_PROVIDER) - validates its API key too
+  let provider;
+  try {
+    provider = getVisionProvider({ defaultModel: 'gemini-3-pro-preview', request });
+  } catch (error) {
+    console.error('[ASK] ❌ Provider configuration failed:', error.message);
+    return jsonResponse({ success: false, error: error.message, hint: error.hint }, 500);
+  }
+
+  // Device token check (no-op while AUTH_SECRET is unset)
+  const auth = await requireAuth(request, { tag: 'ASK' });
+  if (auth.response) {
+    return auth.response;
+  }
+
+  // Per-client token bucket, shared by all analyze endpoints
+  const limited = await enforceRateLimit(request, {
+    tag: 'ASK',
+    deviceId: auth.claims?.sub,
+  });
+  if (limited) {
+    return limited;
+  }
+
+  // Reject oversized bodies before reading them
+  const sizeCheck = checkContentLength(request);
+  if (!sizeCheck.ok) {
+    console.error('[ASK] ❌ Request body too large');
+    return imageErrorResponse(sizeCheck);
+  }
+
+  try {
+    const { question, image, history } = await request.json();
+
+    if (typeof question !== 'string' || question.trim().length === 0) {
+      return jsonResponse({
+        success: false,
+        error: 'question required',
+        speech: 'I did not catch a question. Please try again.',
+      }, 400);
+    }
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return jsonResponse({
+        success: false,
+        error: `question must be at most ${MAX_QUESTION_LENGTH} characters`,
+        speech: 'That question is too long. Please ask something shorter.',
+      }, 400);
+    }
+
+    if (!image) {
+      return jsonResponse({
+        success: false,
+        error: 'image required',
+        speech: 'Please capture a picture first, then ask your question.',
+      }, 400);
+    }
+
+    const imageCheck = validateImage(image);
+    if (!imageCheck.ok) {
+      console.error('[ASK] ❌ Image rejected:', imageCheck.error);
+      return imageErrorResponse(imageCheck);
+    }
+
+    const turns = sanitizeHistory(history);
+    const prompt = buildPrompt(question.trim(), turns);
+
+    console.log('[ASK] Calling vision provider with streaming...', {
+      provider: provider.name,
+      model: provider.model,
+      questionLength: question.length,
+      historyTurns: turns.length,
+      mimeType: imageCheck.mimeType,
+    });
+
+    return streamAnalysis({
+      provider,
+      parts: [textPart(prompt), imagePart(imageCheck.data, imageCheck.mimeType)],
+      options: {
+        maxOutputTokens: 400,
+        temperature: 0.2,
+        query: 'ask',
+      },
+      requestStart,
+      tag: 'ASK',
+    });
+
+  } catch (error) {
+    console.error('[ASK] ❌ Outer catch error:', {
+      message: error.message,
+      name: error.name,
+      stack: error.stack
+    });
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
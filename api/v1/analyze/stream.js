@@ -1,41 +1,99 @@
 // REST API endpoint: POST with image → Returns SSE stream
 // Flow: Client sends POST with image → Server immediately returns SSE stream → Streams chunks continuously
-import { GoogleGenAI } from '@google/genai';
+import { getVisionProvider, textPart, imagePart } from '../../_lib/providers/index.js';
+import { enforceRateLimit } from '../../_lib/rate-limit.js';
+import { requireAuth } from '../../_lib/auth.js';
+import { validateImage, checkContentLength, imageErrorResponse } from '../../_lib/image.js';
+import { streamAnalysis } from '../../_lib/analysis-stream.js';
 
 export const config = {
   runtime: 'edge',
 };
 
+const DESCRIBE_PROMPT = `You are SideKick, an AI visual assistant helping a blind or visually impaired user navigate their environment safely and independently.
+
+CORE PRINCIPLES:
+1. SAFETY FIRST - Always mention hazards and obstacles before anything else
+2. BE CONCISE - Users are listening, not reading. Keep descriptions brief but complete
+3. USE SPATIAL LANGUAGE - Clock positions (12 o'clock = straight ahead), distances in feet/meters
+4. BE CONSISTENT - Use the same terminology every time so users can learn your patterns
+
+RESPONSE STRUCTURE (follow this order):
+1. IMMEDIATE HAZARDS (only if present) → "Warning: [hazard] [location] [distance]"
+2. PATH STATUS (always include) → "Path is clear" OR "Obstacle: [what] at [location]"
+3. ENVIRONMENT CONTEXT (brief) → Indoor/outdoor, type of space
+4. KEY INFORMATION (if relevant) → Signs, text, doors, stairs, people
+
+LANGUAGE RULES:
+- Never say "I see" or "In this image" - just describe directly
+- Never use visual-only descriptions like "beautiful" or "colorful"
+- Keep responses under 40 words unless there's a hazard requiring detail`;
+
+// Long documents (letters, menus, instructions) are streamed as plain text so
+// the client can speak each sentence as it arrives instead of waiting for the
+// whole read_text JSON from /analyze/vision
+const READ_TEXT_PROMPT = `You are SideKick, reading text aloud for a blind or visually impaired user.
+
+Read ALL text visible in this image exactly as written, in natural reading order:
+headings first, then top to bottom, left to right, one column at a time.
+
+RULES:
+- Output only the text itself as plain sentences - no JSON, no markdown, no commentary
+- For signs and labels, say what kind of thing it is first ("Sign: Exit", "Label: Ibuprofen 200 mg")
+- End each heading, line of a list or table row with a period so it is read as its own sentence
+- Copy text exactly - do not correct, translate or summarize
+- If text runs off the edge or is too blurry to read, finish with "Some text is cut off" or "Some text is too blurry", and how to fix it ("move the camera left", "hold the camera closer")
+- If there is no readable text, say "No readable text found. Point the camera at the text."`;
+
+// Prompt and generation settings for each streamed query type
+const STREAM_QUERIES = {
+  describe: {
+    prompt: DESCRIBE_PROMPT,
+    maxOutputTokens: 600, // Increased for more detailed instructions
+    temperature: 0.3, // Slightly higher for more natural speech
+    query: 'stream',
+    detectHazards: true,
+  },
+  read_text: {
+    prompt: READ_TEXT_PROMPT,
+    maxOutputTokens: 2000,
+    temperature: 0.1,
+    query: 'read_text_stream',
+    detectHazards: false, // "Caution: contents hot" on a label is not a hazard ahead
+  },
+};
+
 export default async function handler(request) {
+  // All latencies reported to the client are measured from here
+  const requestStart = Date.now();
+
   console.log('[STREAM] Request received:', {
     method: request.method,
     url: request.url,
     hasBody: !!request.body
   });
 
-  // Get API key from environment (Edge runtime supports process.env)
-  const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-  const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-3-pro-preview';
-
-  console.log('[STREAM] Environment check:', {
-    hasApiKey: !!GEMINI_API_KEY,
-    apiKeyLength: GEMINI_API_KEY ? GEMINI_API_KEY.length : 0,
-    model: GEMINI_MODEL,
-    runtime: 'edge'
-  });
-
-  // Validate API key exists and is valid
-  if (!GEMINI_API_KEY || typeof GEMINI_API_KEY !== 'string' || GEMINI_API_KEY.trim().length === 0) {
-    console.error('[STREAM] ❌ API key validation failed');
+  // Pick the vision backend (VISION_PROVIDER) - validates its API key too
+  let provider;
+  try {
+    provider = getVisionProvider({ defaultModel: 'gemini-3-pro-preview', request });
+  } catch (error) {
+    console.error('[STREAM] ❌ Provider configuration failed:', error.message);
     return new Response(JSON.stringify({ 
-      error: 'GEMINI_API_KEY not configured',
-      hint: 'Set GEMINI_API_KEY in .env.local or Vercel environment variables'
+      error: error.message,
+      hint: error.hint
     }), {
       status: 500,
       headers: { 'Content-Type': 'application/json' },
     });
   }
 
+  console.log('[STREAM] Environment check:', {
+    provider: provider.name,
+    model: provider.model,
+    runtime: 'edge'
+  });
+
   // CORS preflight
   if (request.method === 'OPTIONS') {
     return new Response(null, {
@@ -43,7 +101,7 @@ export default async function handler(request) {
       headers: {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Fixture-Scenario',
       },
     });
   }
@@ -56,14 +114,37 @@ export default async function handler(request) {
     });
   }
 
+  // Device token check (no-op while AUTH_SECRET is unset)
+  const auth = await requireAuth(request, { tag: 'STREAM' });
+  if (auth.response) {
+    return auth.response;
+  }
+
+  // Per-client token bucket, shared by all analyze endpoints
+  const limited = await enforceRateLimit(request, {
+    tag: 'STREAM',
+    deviceId: auth.claims?.sub,
+  });
+  if (limited) {
+    return limited;
+  }
+
+  // Reject oversized bodies before reading them
+  const sizeCheck = checkContentLength(request);
+  if (!sizeCheck.ok) {
+    console.error('[STREAM] ❌ Request body too large');
+    return imageErrorResponse(sizeCheck);
+  }
+
   try {
     console.log('[STREAM] Parsing request body...');
     // Parse image from request body
-    const { image } = await request.json();
+    const { image, query = 'describe' } = await request.json();
     console.log('[STREAM] Request body parsed:', {
       hasImage: !!image,
       imageType: typeof image,
-      imageLength: image ? image.length : 0
+      imageLength: image ? image.length : 0,
+      query
     });
 
     if (!image) {
@@ -74,146 +155,45 @@ export default async function handler(request) {
       });
     }
 
-    // Initialize Gemini client with API key
-    // Ensure API key is a string (Edge runtime compatibility)
-    if (typeof GEMINI_API_KEY !== 'string' || GEMINI_API_KEY.length === 0) {
-      return new Response(JSON.stringify({ error: 'Invalid API key format' }), {
-        status: 500,
+    const streamQuery = Object.hasOwn(STREAM_QUERIES, query) ? STREAM_QUERIES[query] : null;
+    if (!streamQuery) {
+      console.error('[STREAM] ❌ Unknown query:', query);
+      return new Response(JSON.stringify({
+        error: `Unknown query "${query}" (expected ${Object.keys(STREAM_QUERIES).join(' or ')})`
+      }), {
+        status: 400,
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    console.log('[STREAM] Initializing Gemini client...');
-    const ai = new GoogleGenAI({ 
-      apiKey: String(GEMINI_API_KEY) // Explicitly convert to string
-    });
-    console.log('[STREAM] ✅ Gemini client initialized');
-    
-    const encoder = new TextEncoder();
-
-    // Create SSE stream (starts immediately after POST)
-    const stream = new ReadableStream({
-      async start(controller) {
-        try {
-          console.log('[STREAM] Stream controller started');
-          
-          // Event 1: Start - connection established
-          console.log('[STREAM] Sending start event...');
-          controller.enqueue(encoder.encode(`event: start\ndata: ${JSON.stringify({ status: 'started' })}\n\n`));
-          console.log('[STREAM] ✅ Start event sent');
-
-          // Call Gemini API with streaming
-          const prompt = `You are SideKick, an AI visual assistant helping a blind or visually impaired user navigate their environment safely and independently.
-
-CORE PRINCIPLES:
-1. SAFETY FIRST - Always mention hazards and obstacles before anything else
-2. BE CONCISE - Users are listening, not reading. Keep descriptions brief but complete
-3. USE SPATIAL LANGUAGE - Clock positions (12 o'clock = straight ahead), distances in feet/meters
-4. BE CONSISTENT - Use the same terminology every time so users can learn your patterns
-
-RESPONSE STRUCTURE (follow this order):
-1. IMMEDIATE HAZARDS (only if present) → "Warning: [hazard] [location] [distance]"
-2. PATH STATUS (always include) → "Path is clear" OR "Obstacle: [what] at [location]"
-3. ENVIRONMENT CONTEXT (brief) → Indoor/outdoor, type of space
-4. KEY INFORMATION (if relevant) → Signs, text, doors, stairs, people
-
-LANGUAGE RULES:
-- Never say "I see" or "In this image" - just describe directly
-- Never use visual-only descriptions like "beautiful" or "colorful"
-- Keep responses under 40 words unless there's a hazard requiring detail`;
-
-          console.log('[STREAM] Calling Gemini API with streaming...', {
-            model: GEMINI_MODEL,
-            imageLength: image.length,
-            promptLength: prompt.length
-          });
-          
-          const response = await ai.models.generateContentStream({
-            model: GEMINI_MODEL,
-            contents: [{
-              role: 'user',
-              parts: [
-                { text: prompt },
-                { inlineData: { mimeType: 'image/jpeg', data: image } }
-              ]
-            }],
-            generationConfig: { 
-              maxOutputTokens: 600, // Increased for more detailed instructions
-              temperature: 0.3, // Slightly higher for more natural speech
-            },
-          });
-
-          console.log('[STREAM] ✅ Gemini API response received, starting to stream chunks...');
-          let chunkCount = 0;
-
-          // Event 2: Chunks - continuously stream text as it arrives from Gemini
-          for await (const chunk of response) {
-            chunkCount++;
-            console.log(`[STREAM] Chunk ${chunkCount} received:`, {
-              hasText: !!chunk.text,
-              textLength: chunk.text ? chunk.text.length : 0,
-              chunkKeys: Object.keys(chunk)
-            });
-            
-            if (chunk.text) {
-              controller.enqueue(encoder.encode(`event: chunk\ndata: ${JSON.stringify({ text: chunk.text })}\n\n`));
-              console.log(`[STREAM] ✅ Chunk ${chunkCount} sent to client`);
-            } else {
-              console.warn(`[STREAM] ⚠️ Chunk ${chunkCount} has no text property:`, chunk);
-            }
-          }
-
-          console.log(`[STREAM] ✅ All chunks processed (total: ${chunkCount})`);
-          
-          // Event 3: Complete - stream finished
-          console.log('[STREAM] Sending complete event...');
-          controller.enqueue(encoder.encode(`event: complete\ndata: ${JSON.stringify({ done: true })}\n\n`));
-          controller.close();
-          console.log('[STREAM] ✅ Stream closed successfully');
-
-        } catch (error) {
-          // Event 4: Error - if something goes wrong
-          console.error('[STREAM] ❌ Error in stream:', {
-            message: error.message,
-            name: error.name,
-            stack: error.stack,
-            errorObject: error,
-            errorString: String(error),
-            errorJSON: JSON.stringify(error, Object.getOwnPropertyNames(error))
-          });
-          
-          // Extract meaningful error message
-          let errorMessage = error.message || 'Unknown error';
-          
-          // Handle Gemini API errors
-          if (error.response || error.status) {
-            const status = error.status || error.response?.status;
-            const statusText = error.statusText || error.response?.statusText;
-            
-            if (status === 429) {
-              errorMessage = 'Rate limit exceeded. Please wait before trying again.';
-            } else if (status) {
-              errorMessage = `API Error ${status}: ${statusText || errorMessage}`;
-            }
-          }
-          
-          // Send error event
-          controller.enqueue(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: errorMessage })}\n\n`));
-          controller.close();
-        }
-      },
+    // Check size and sniff the real format from the image bytes
+    const imageCheck = validateImage(image);
+    if (!imageCheck.ok) {
+      console.error('[STREAM] ❌ Image rejected:', imageCheck.error);
+      return imageErrorResponse(imageCheck);
+    }
+    console.log('[STREAM] Image accepted:', { mimeType: imageCheck.mimeType, bytes: imageCheck.byteLength });
+
+    console.log('[STREAM] Calling vision provider with streaming...', {
+      provider: provider.name,
+      model: provider.model,
+      imageLength: imageCheck.data.length,
+      mimeType: imageCheck.mimeType,
+      promptLength: streamQuery.prompt.length
     });
 
-    // Return SSE stream response (keeps connection open for continuous chunks)
-    // Headers optimized to prevent buffering and enable real-time streaming
-    return new Response(stream, {
-      headers: {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache, no-transform',
-        'Connection': 'keep-alive',
-        'X-Accel-Buffering': 'no', // Disable nginx buffering
-        'Access-Control-Allow-Origin': '*',
+    // Return SSE stream response (starts immediately, keeps connection open for continuous chunks)
+    return streamAnalysis({
+      provider,
+      parts: [textPart(streamQuery.prompt), imagePart(imageCheck.data, imageCheck.mimeType)],
+      options: {
+        maxOutputTokens: streamQuery.maxOutputTokens,
+        temperature: streamQuery.temperature,
+        query: streamQuery.query,
       },
+      requestStart,
+      tag: 'STREAM',
+      detectHazards: streamQuery.detectHazards,
     });
 
   } catch (error) {
@@ -1,13 +1,20 @@
 // Vercel Edge API endpoint for structured navigation vision queries
-// Returns JSON (not streaming) based on query type
+// Returns schema-validated JSON (not streaming) based on query type
 // Supports two-image comparison for position validation
-import { GoogleGenAI } from '@google/genai';
+import { getVisionProvider, textPart, imagePart } from '../../_lib/providers/index.js';
+import { enforceRateLimit } from '../../_lib/rate-limit.js';
+import { requireAuth } from '../../_lib/auth.js';
+import { validateImage, checkContentLength, imageErrorResponse } from '../../_lib/image.js';
+import { validate } from '../../_lib/schema.js';
+import { getVisionSchema } from '../../_lib/vision-schemas.js';
 
 export const config = {
   runtime: 'edge',
 };
 
-// Helper function to extract JSON from Gemini response
+const MAX_TARGET_LENGTH = 100;
+
+// Helper function to extract JSON from model response
 function extractJSON(text) {
   // Try to find JSON object in the response
   const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -22,9 +29,36 @@ function extractJSON(text) {
   return null;
 }
 
+// Parse and validate model output against the query's schema
+function parseResponse(text, schema) {
+  if (!text) {
+    return { valid: false, errors: ['empty response'] };
+  }
+  const jsonData = extractJSON(text);
+  if (!jsonData) {
+    return { valid: false, errors: ['response is not valid JSON'] };
+  }
+  return validate(schema, jsonData);
+}
+
+// Follow-up instruction sent (with the original prompt and images) when the
+// first answer fails validation
+function buildRepairPrompt(previousText, errors) {
+  return `Your previous answer did not match the required JSON format.
+
+PREVIOUS ANSWER:
+${(previousText || '(empty)').substring(0, 1500)}
+
+PROBLEMS:
+${errors.slice(0, 10).map((error) => `- ${error}`).join('\n')}
+
+Answer again following the original instructions exactly.
+RESPOND ONLY WITH THE CORRECTED JSON OBJECT (no other text, no markdown).`;
+}
+
 // Generate context-aware prompt based on query type
 function generatePrompt(context) {
-  const { query, expectedRoom, expectedLandmarks, currentInstruction, stepsIntoSegment } = context;
+  const { query, expectedRoom, expectedLandmarks, currentInstruction, stepsIntoSegment, target } = context;
 
   switch (query) {
     case 'validate_position': {
@@ -144,6 +178,80 @@ RULES FOR SPEECH:
 - Be direct and actionable`;
     }
 
+    case 'read_text': {
+      return `You are reading text aloud for a visually impaired user. The text may be a sign, label, letter, menu, screen or package.
+
+Read ALL text visible in this image exactly as written.
+
+RESPOND ONLY WITH THIS JSON (no other text):
+{
+  "textFound": true or false,
+  "blocks": [
+    {
+      "text": "the exact text of one block (a sign, heading, paragraph, label or line group)",
+      "order": 1,
+      "position": "top left" or "top" or "top right" or "left" or "center" or "right" or "bottom left" or "bottom" or "bottom right",
+      "confidence": 0.0 to 1.0
+    }
+  ],
+  "partial": true or false,
+  "partialReason": "what is wrong, e.g. text cut off at the right edge" or null,
+  "speech": "The text read in natural order"
+}
+
+RULES FOR BLOCKS:
+- "order" is the natural reading order starting at 1: headings before body, top to bottom, left to right, columns one after another
+- Copy text exactly - do not correct spelling, translate or summarize
+- Use confidence below 0.5 for words you are guessing
+- Skip decorative or repeated text (watermarks, background logos)
+
+RULES FOR PARTIAL:
+- true if any text runs off the edge of the image, or is too blurry, small or dark to read fully
+- partialReason must say how to fix it ("move the camera left", "hold the camera closer", "needs more light")
+
+RULES FOR SPEECH:
+- Read the blocks in order as one natural passage
+- For signs and labels, say what kind of thing it is first ("Sign: Exit", "Label: Ibuprofen 200 mg")
+- If partial, end with the fix from partialReason
+- If no text is found, say "No readable text found" and suggest pointing the camera at the text
+- Never say "I see" or "In this image"`;
+    }
+
+    case 'find_object': {
+      return `You are helping a visually impaired user find a specific object: "${target}".
+The user is holding the camera and will move it based on your guidance, then send another picture.
+
+Look for "${target}" in this image (also accept obvious variants, e.g. "keys" matches a key ring).
+
+RESPOND ONLY WITH THIS JSON (no other text):
+{
+  "found": true or false,
+  "clockPosition": 1 to 12, or null if not found,
+  "distance": "immediate" or "close" or "far", or null if not found,
+  "centered": true or false,
+  "confidence": 0.0 to 1.0,
+  "guidance": "short instruction to bring the object to the center and within reach",
+  "speech": "Natural message for the user"
+}
+
+CLOCK POSITIONS (relative to the center of the image):
+- 12 = straight ahead, 1-2 = slightly right, 3 = right, 10-11 = slightly left, 9 = left
+- 4-8 = low in the frame or below the camera (e.g. on the floor)
+
+DISTANCE DEFINITIONS:
+- "immediate": Within arm's reach (under 2 feet)
+- "close": 2-6 feet
+- "far": Beyond 6 feet
+
+RULES:
+- "centered" is true only if the object is near the middle of the image
+- Only report found if you are reasonably sure (confidence above 0.5); never guess
+- If not found, guidance suggests where to point next ("tilt the camera down toward the floor", "turn slowly to your right")
+- If found, guidance says which way to move the camera or hand ("move right a little", "reach forward, it is on the table edge")
+- Mention what the object is on or next to when it helps ("on the kitchen counter, next to the kettle")
+- Speech under 20 words, never say "I see" or "In this image"`;
+    }
+
     case 'describe_scene':
     default: {
       return `You are helping a visually impaired user understand their surroundings.
@@ -177,22 +285,16 @@ export default async function handler(request) {
     hasBody: !!request.body
   });
 
-  // Get API key and model from environment
-  const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-  const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
-
-  console.log('[VISION] Environment check:', {
-    hasApiKey: !!GEMINI_API_KEY,
-    model: GEMINI_MODEL,
-    runtime: 'edge'
-  });
-
-  // Validate API key
-  if (!GEMINI_API_KEY || typeof GEMINI_API_KEY !== 'string' || GEMINI_API_KEY.trim().length === 0) {
-    console.error('[VISION] ❌ API key validation failed');
+  // Pick the vision backend (VISION_PROVIDER) - validates its API key too
+  let provider;
+  try {
+    provider = getVisionProvider({ defaultModel: 'gemini-2.0-flash', request });
+  } catch (error) {
+    console.error('[VISION] ❌ Provider configuration failed:', error.message);
     return new Response(JSON.stringify({
       success: false,
-      error: 'GEMINI_API_KEY not configured',
+      error: error.message,
+      hint: error.hint,
       speech: 'I had trouble analyzing that image. Please try again.'
     }), {
       status: 500,
@@ -203,6 +305,12 @@ export default async function handler(request) {
     });
   }
 
+  console.log('[VISION] Environment check:', {
+    provider: provider.name,
+    model: provider.model,
+    runtime: 'edge'
+  });
+
   // CORS preflight
   if (request.method === 'OPTIONS') {
     return new Response(null, {
@@ -210,7 +318,7 @@ export default async function handler(request) {
       headers: {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Fixture-Scenario',
       },
     });
   }
@@ -230,6 +338,28 @@ export default async function handler(request) {
     });
   }
 
+  // Device token check (no-op while AUTH_SECRET is unset)
+  const auth = await requireAuth(request, { tag: 'VISION' });
+  if (auth.response) {
+    return auth.response;
+  }
+
+  // Per-client token bucket, shared by all analyze endpoints
+  const limited = await enforceRateLimit(request, {
+    tag: 'VISION',
+    deviceId: auth.claims?.sub,
+  });
+  if (limited) {
+    return limited;
+  }
+
+  // Reject oversized bodies before reading them (up to two images)
+  const sizeCheck = checkContentLength(request, { images: 2 });
+  if (!sizeCheck.ok) {
+    console.error('[VISION] ❌ Request body too large');
+    return imageErrorResponse(sizeCheck);
+  }
+
   try {
     console.log('[VISION] Parsing request body...');
     const { currentImage, referenceImage, context } = await request.json();
@@ -275,6 +405,30 @@ export default async function handler(request) {
       });
     }
 
+    // For find_object, the object to look for is required
+    if (context.query === 'find_object') {
+      // The target is quoted inside the prompt: quotes would end the quote and
+      // newlines or control characters would start new prompt lines
+      const target = typeof context.target === 'string'
+        ? context.target.replace(/[\s\p{Cc}]+/gu, ' ').replace(/["`]/g, '').trim()
+        : '';
+      if (!target || target.length > MAX_TARGET_LENGTH) {
+        console.error('[VISION] ❌ find_object requires a target');
+        return new Response(JSON.stringify({
+          success: false,
+          error: `find_object requires context.target (1-${MAX_TARGET_LENGTH} characters)`,
+          speech: 'Tell me what to look for, for example: find my keys.'
+        }), {
+          status: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+          },
+        });
+      }
+      context.target = target;
+    }
+
     // For validate_position, referenceImage is required
     if (context.query === 'validate_position' && !referenceImage) {
       console.error('[VISION] ❌ validate_position requires referenceImage');
@@ -291,94 +445,89 @@ export default async function handler(request) {
       });
     }
 
+    // Check size and sniff the real format of each image
+    const currentCheck = validateImage(currentImage, { label: 'currentImage' });
+    if (!currentCheck.ok) {
+      console.error('[VISION] ❌ currentImage rejected:', currentCheck.error);
+      return imageErrorResponse(currentCheck);
+    }
+    let referenceCheck = null;
+    if (context.query === 'validate_position') {
+      referenceCheck = validateImage(referenceImage, { label: 'referenceImage' });
+      if (!referenceCheck.ok) {
+        console.error('[VISION] ❌ referenceImage rejected:', referenceCheck.error);
+        return imageErrorResponse(referenceCheck);
+      }
+    }
+
     // Generate prompt based on query type
     const prompt = generatePrompt(context);
     console.log('[VISION] Generated prompt for query type:', context.query);
     console.log('[VISION] Has reference image:', !!referenceImage);
 
-    // Initialize Gemini client
-    console.log('[VISION] Initializing Gemini client...');
-    const ai = new GoogleGenAI({
-      apiKey: String(GEMINI_API_KEY)
-    });
-    console.log('[VISION] ✅ Gemini client initialized');
-
-    // Prepare content parts for Gemini API
-    const parts = [{ text: prompt }];
+    // Prepare provider-neutral content parts
+    const parts = [textPart(prompt)];
     
     // For validate_position with referenceImage, send both images
-    if (context.query === 'validate_position' && referenceImage) {
+    if (referenceCheck) {
       parts.push(
-        { inlineData: { mimeType: 'image/jpeg', data: referenceImage } },  // First image = reference
-        { inlineData: { mimeType: 'image/jpeg', data: currentImage } }      // Second image = current
+        imagePart(referenceCheck.data, referenceCheck.mimeType),  // First image = reference
+        imagePart(currentCheck.data, currentCheck.mimeType)       // Second image = current
       );
       console.log('[VISION] Using two-image comparison mode');
     } else {
       // For other queries, send only current image
-      parts.push({ inlineData: { mimeType: 'image/jpeg', data: currentImage } });
+      parts.push(imagePart(currentCheck.data, currentCheck.mimeType));
       console.log('[VISION] Using single-image mode');
     }
 
-    // Call Gemini API
-    console.log('[VISION] Calling Gemini API...', {
-      model: GEMINI_MODEL,
+    // Call the vision provider
+    console.log('[VISION] Calling vision provider...', {
+      provider: provider.name,
+      model: provider.model,
       currentImageLength: currentImage.length,
       referenceImageLength: referenceImage ? referenceImage.length : 0,
       promptLength: prompt.length,
-      imageCount: context.query === 'validate_position' && referenceImage ? 2 : 1
+      mimeType: currentCheck.mimeType,
+      imageCount: referenceCheck ? 2 : 1
     });
 
-    const response = await ai.models.generateContent({
-      model: GEMINI_MODEL,
-      contents: [{
-        role: 'user',
-        parts: parts
-      }],
-      generationConfig: {
-        maxOutputTokens: 500,
-        temperature: 0.1,
-      },
-    });
-
-    console.log('[VISION] ✅ Gemini API response received');
-
-    // Extract text from response
-    let responseText = '';
-    if (response.text) {
-      responseText = response.text;
-    } else if (response.response?.text) {
-      responseText = response.response.text;
-    } else if (response.candidates?.[0]?.content?.parts?.[0]?.text) {
-      responseText = response.candidates[0].content.parts[0].text;
-    } else {
-      console.error('[VISION] ❌ Could not extract text from Gemini response:', response);
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Invalid response format from AI',
-        speech: 'I had trouble analyzing that image. Please try again.'
-      }), {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-      });
-    }
+    const schema = getVisionSchema(context.query);
+    const generationOptions = {
+      // Documents need far more room than the short navigation answers
+      maxOutputTokens: context.query === 'read_text' ? 2000 : 500,
+      temperature: 0.1,
+      responseFormat: 'json',
+      query: context.query,
+    };
 
+    let { text: responseText } = await provider.generate(parts, generationOptions);
+    console.log('[VISION] ✅ Provider response received');
     console.log('[VISION] Response text length:', responseText.length);
     console.log('[VISION] Response text preview:', responseText.substring(0, 200));
 
-    // Extract JSON from response
-    const jsonData = extractJSON(responseText);
-    
-    if (!jsonData) {
-      console.error('[VISION] ❌ Failed to extract JSON from response');
+    let parsed = parseResponse(responseText, schema);
+
+    // One repair attempt: show the model its own output and what was wrong with it
+    if (!parsed.valid) {
+      console.warn('[VISION] ⚠️ Response failed schema validation, attempting repair:', parsed.errors);
+      ({ text: responseText } = await provider.generate(
+        [...parts, textPart(buildRepairPrompt(responseText, parsed.errors))],
+        generationOptions
+      ));
+      console.log('[VISION] Repair response preview:', responseText.substring(0, 200));
+      parsed = parseResponse(responseText, schema);
+    }
+
+    if (!parsed.valid) {
+      console.error('[VISION] ❌ Response still invalid after repair:', parsed.errors);
       return new Response(JSON.stringify({
         success: false,
-        error: responseText.substring(0, 500), // Return raw text if JSON parsing fails
+        error: 'AI response did not match the expected format',
+        details: parsed.errors.slice(0, 10),
         speech: 'I had trouble analyzing that image. Please try again.'
       }), {
-        status: 500,
+        status: 502,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
@@ -386,11 +535,16 @@ export default async function handler(request) {
       });
     }
 
-    // Add success flag and ensure speech field exists
+    // Clients can read blocks front to back without sorting
+    if (context.query === 'read_text') {
+      parsed.value.blocks.sort((a, b) => a.order - b.order);
+    }
+
+    // Add success flag; every schema field is guaranteed to be present
     const result = {
       success: true,
-      ...jsonData,
-      speech: jsonData.speech || 'Analysis complete.'
+      query: context.query,
+      ...parsed.value,
     };
 
     console.log('[VISION] ✅ Successfully parsed response for query:', context.query);
@@ -410,7 +564,7 @@ export default async function handler(request) {
       stack: error.stack
     });
 
-    // Handle Gemini API errors
+    // Handle provider API errors
     let errorMessage = error.message || 'Unknown error';
     if (error.response || error.status) {
       const status = error.status || error.response?.status;
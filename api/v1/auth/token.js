@@ -0,0 +1,89 @@
+// Device token endpoint
+// POST { deviceId }                      → issues a new signed token
+// POST with Authorization: Bearer <token> → refreshes it (also within a grace
+//                                           period after expiry), keeping the device id
+import { getAuthConfig, issueToken, verifyToken, getBearerToken, REFRESH_GRACE_SECONDS } from '../../_lib/auth.js';
+import { enforceRateLimit, getClientKey } from '../../_lib/rate-limit.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+export const config = {
+  runtime: 'edge',
+};
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+export default async function handler(request) {
+  // CORS preflight
+  if (request.method === 'OPTIONS') {
+    return new Response(null, {
+      status: 204,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      },
+    });
+  }
+
+  if (request.method !== 'POST') {
+    return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+  }
+
+  const authConfig = getAuthConfig();
+
+  // Without a secret the API is open; tell the client so it stops asking
+  if (!authConfig.enabled) {
+    console.warn('[AUTH] ⚠️ AUTH_SECRET not set, device tokens are disabled');
+    return jsonResponse({ success: true, authEnabled: false, token: null, expiresAt: null });
+  }
+
+  // Token issuance has its own bucket so it can't be used to drain the analyze budget
+  const limited = await enforceRateLimit(request, { tag: 'AUTH', clientKey: `issue:${getClientKey(request)}` });
+  if (limited) {
+    return limited;
+  }
+
+  try {
+    let deviceId;
+    const existingToken = getBearerToken(request);
+
+    if (existingToken) {
+      const result = await verifyToken(existingToken, authConfig, { allowExpiredFor: REFRESH_GRACE_SECONDS });
+      if (!result.valid) {
+        console.warn('[AUTH] ⛔ Refresh rejected:', { reason: result.reason, sub: result.claims?.sub });
+        return jsonResponse({
+          success: false,
+          error: 'Token cannot be refreshed',
+          reason: result.reason,
+        }, 401);
+      }
+      deviceId = result.claims.sub;
+      console.log('[AUTH] 🔄 Refreshing token for device:', deviceId);
+    } else {
+      const body = await request.json().catch(() => ({}));
+      deviceId = body.deviceId;
+      if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId)) {
+        return jsonResponse({
+          success: false,
+          error: 'deviceId required (8-128 characters: letters, digits, - or _)',
+        }, 400);
+      }
+      if (authConfig.revoked.has(deviceId)) {
+        console.warn('[AUTH] ⛔ Issue rejected for revoked device:', deviceId);
+        return jsonResponse({ success: false, error: 'Device has been revoked', reason: 'revoked' }, 403);
+      }
+      console.log('[AUTH] 🔑 Issuing token for device:', deviceId);
+    }
+
+    const { token, expiresAt } = await issueToken(deviceId, authConfig);
+    return jsonResponse({ success: true, authEnabled: true, token, expiresAt });
+
+  } catch (error) {
+    console.error('[AUTH] ❌ Error issuing token:', {
+      message: error.message,
+      name: error.name,
+      stack: error.stack
+    });
+    return jsonResponse({ success: false, error: 'Could not issue token' }, 500);
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Live Announcer - mirrors what the app says into aria-live regions
+ * so screen reader users get it as text too (and can review it with braille
+ * displays). Streamed text goes to a polite log, hazards to an assertive alert.
+ */
+
+class LiveAnnouncer {
+    constructor() {
+        this.politeEl = null; // role="log", aria-live="polite"
+        this.assertiveEl = null; // role="alert", aria-live="assertive"
+        this.alertTimer = null;
+    }
+
+    /**
+     * @param {HTMLElement} politeEl
+     * @param {HTMLElement} assertiveEl
+     */
+    init(politeEl, assertiveEl) {
+        this.politeEl = politeEl;
+        this.assertiveEl = assertiveEl;
+    }
+
+    /**
+     * Append a line to the polite log (read after the current announcement)
+     * @param {string} text
+     */
+    polite(text) {
+        if (!this.politeEl || !text) {
+            return;
+        }
+        const line = document.createElement('p');
+        line.textContent = text;
+        this.politeEl.appendChild(line);
+    }
+
+    /**
+     * Announce right away, interrupting the screen reader
+     * @param {string} text
+     */
+    assertive(text) {
+        if (!this.assertiveEl || !text) {
+            return;
+        }
+        // Empty first so the same warning twice is announced twice
+        clearTimeout(this.alertTimer);
+        this.assertiveEl.textContent = '';
+        this.alertTimer = setTimeout(() => {
+            this.assertiveEl.textContent = text;
+        }, 50);
+    }
+
+    /**
+     * Empty the polite log before a new answer (clearing is not announced)
+     */
+    clear() {
+        if (this.politeEl) {
+            this.politeEl.replaceChildren();
+        }
+    }
+}
+
+export const announcer = new LiveAnnouncer();
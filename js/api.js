@@ -4,9 +4,184 @@
 
 import { config } from './config.js';
 
+// Highest SSE protocol version this client understands (see api/_lib/sse.js)
+const SSE_PROTOCOL_VERSION = 1;
+
+// Spoken when analysis is attempted without a connection
+const OFFLINE_SPEECH = 'You are offline. Analysis needs an internet connection. Please try again when you are connected.';
+
+const DEVICE_ID_KEY = 'sidekick.deviceId';
+const AUTH_TOKEN_KEY = 'sidekick.authToken';
+
 class ApiClient {
     constructor() {
         this.baseUrl = config.api.baseUrl;
+        this.auth = this.loadStoredAuth(); // { token, expiresAt } or null
+        this.authDisabled = false; // Server has no AUTH_SECRET - stop asking for tokens
+        this.authPromise = null; // In-flight token request, shared by concurrent callers
+        this.lastScene = null; // { image, history } of the last analyzed frame, for askStream
+    }
+
+    /**
+     * Get (or create) the persistent id this device authenticates as
+     * @returns {string}
+     */
+    getDeviceId() {
+        let deviceId = null;
+        try {
+            deviceId = localStorage.getItem(DEVICE_ID_KEY);
+        } catch (e) {
+            // Storage unavailable (private mode) - fall through to a session id
+        }
+
+        if (!deviceId) {
+            deviceId = (crypto.randomUUID && crypto.randomUUID())
+                || Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+            try {
+                localStorage.setItem(DEVICE_ID_KEY, deviceId);
+            } catch (e) {
+                console.warn('[CLIENT] ⚠️ Could not persist device id');
+            }
+        }
+
+        return deviceId;
+    }
+
+    /**
+     * Read a previously issued token from storage
+     * @returns {{token: string, expiresAt: number}|null}
+     */
+    loadStoredAuth() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(AUTH_TOKEN_KEY));
+            return stored && stored.token ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Forget the current token (e.g. after the server rejected it)
+     */
+    clearAuthToken() {
+        this.auth = null;
+        try {
+            localStorage.removeItem(AUTH_TOKEN_KEY);
+        } catch (e) {
+            // Nothing stored
+        }
+    }
+
+    /**
+     * Get a valid device token, issuing or refreshing one when needed
+     * @param {Object} options
+     * @param {boolean} options.forceRefresh - Ignore the cached token
+     * @returns {Promise<string|null>} Token, or null if auth is disabled/unavailable
+     */
+    async getAuthToken({ forceRefresh = false } = {}) {
+        if (this.authDisabled) {
+            return null;
+        }
+
+        const fresh = this.auth && this.auth.expiresAt - Date.now() > config.api.tokenRefreshMargin;
+        if (fresh && !forceRefresh) {
+            return this.auth.token;
+        }
+
+        if (!this.authPromise) {
+            this.authPromise = this.fetchAuthToken().finally(() => {
+                this.authPromise = null;
+            });
+        }
+        return this.authPromise;
+    }
+
+    /**
+     * Request a token from the server: refresh the current one if we have it,
+     * otherwise (or if the refresh is refused) enroll with the device id
+     * @returns {Promise<string|null>}
+     */
+    async fetchAuthToken() {
+        const url = `${this.baseUrl}${config.api.endpoints.authToken}`;
+        const post = (headers, body) => fetch(url, {
+            method: 'POST',
+            headers: { ...this.buildHeaders(), ...headers },
+            body: JSON.stringify(body),
+        });
+
+        try {
+            let response;
+            if (this.auth) {
+                console.log('[CLIENT] 🔄 Refreshing device token...');
+                response = await post({ 'Authorization': `Bearer ${this.auth.token}` }, {});
+                if (response.status === 401) {
+                    console.warn('[CLIENT] ⚠️ Token refresh refused, enrolling again');
+                    this.clearAuthToken();
+                }
+            }
+
+            if (!this.auth) {
+                console.log('[CLIENT] 🔑 Requesting device token...');
+                response = await post({}, { deviceId: this.getDeviceId() });
+            }
+
+            if (!response.ok) {
+                throw new Error(`Token request failed: HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!data.authEnabled) {
+                console.log('[CLIENT] Server does not require device tokens');
+                this.authDisabled = true;
+                this.clearAuthToken();
+                return null;
+            }
+
+            this.auth = { token: data.token, expiresAt: data.expiresAt };
+            try {
+                localStorage.setItem(AUTH_TOKEN_KEY, JSON.stringify(this.auth));
+            } catch (e) {
+                console.warn('[CLIENT] ⚠️ Could not persist device token');
+            }
+            console.log('[CLIENT] ✅ Device token ready, expires', new Date(data.expiresAt).toISOString());
+            return data.token;
+
+        } catch (error) {
+            // Let the request go out without a token; the server decides
+            console.error('[CLIENT] ❌ Could not obtain device token:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * fetch() with the device token attached. A 401 means the token was
+     * revoked or expired early: drop it, get a new one and retry once.
+     * @param {string} url
+     * @param {Object} init - Fetch options
+     * @returns {Promise<Response>}
+     */
+    async fetchWithAuth(url, init = {}) {
+        const send = async (token) => fetch(url, {
+            ...init,
+            headers: {
+                ...init.headers,
+                ...(token && { 'Authorization': `Bearer ${token}` }),
+            },
+        });
+
+        const token = await this.getAuthToken();
+        const response = await send(token);
+
+        if (response.status === 401 && !this.authDisabled) {
+            console.warn('[CLIENT] ⚠️ Device token rejected, retrying with a new one');
+            this.clearAuthToken();
+            const newToken = await this.getAuthToken({ forceRefresh: true });
+            if (newToken) {
+                return send(newToken);
+            }
+        }
+
+        return response;
     }
 
     /**
@@ -18,9 +193,7 @@ class ApiClient {
     async request(endpoint, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
         const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: this.buildHeaders(),
         };
 
         const mergedOptions = {
@@ -33,17 +206,17 @@ class ApiClient {
         };
 
         try {
-            const response = await fetch(url, mergedOptions);
+            const response = await this.fetchWithAuth(url, mergedOptions);
             
             if (!response.ok) {
-                const error = await response.json().catch(() => ({ message: 'Unknown error' }));
-                throw new Error(error.message || `HTTP ${response.status}`);
+                const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
+                throw this.createHttpError(response, errorData);
             }
 
             return response;
         } catch (error) {
             console.error('API request failed:', error);
-            throw error;
+            throw error.name === 'TypeError' ? this.createOfflineError(error) : error;
         }
     }
 
@@ -52,12 +225,15 @@ class ApiClient {
      * Uses EventSource-like API for Server-Sent Events
      * @param {string|Blob} imageData - Base64 string or Blob
      * @param {Object} options - Analysis options
+     * @param {string} options.query - 'describe' (default) or 'read_text' to read
+     *   all text in the frame aloud, one sentence at a time
      * @param {Object} callbacks - Event callbacks
      * @param {Function} callbacks.onStart - Called when stream starts
      * @param {Function} callbacks.onChunk - Called for each text chunk
      * @param {Function} callbacks.onHazard - Called when hazard detected
      * @param {Function} callbacks.onComplete - Called when analysis completes
-     * @param {Function} callbacks.onDone - Called when stream ends
+     * @param {Function} callbacks.onDone - Called exactly once when the request is over,
+     *   whether it succeeded or failed (not called after abort())
      * @param {Function} callbacks.onError - Called on error
      * @returns {Promise<{abort: Function}>} Abort function
      */
@@ -70,6 +246,25 @@ class ApiClient {
             hasCallbacks: Object.keys(callbacks).length > 0
         });
         
+        // Same limits the server enforces - fail fast instead of uploading
+        const imageError = this.checkImage(imageData);
+        if (imageError) {
+            console.error('[CLIENT] ❌ Image rejected before upload:', imageError.message);
+            if (callbacks.onError) callbacks.onError(imageError);
+            if (callbacks.onDone) callbacks.onDone({ status: 'error' });
+            return { abort: () => {} };
+        }
+        
+        // No connection: say so instead of failing silently (the offline
+        // shell still loads from the service worker)
+        if (this.isOffline()) {
+            console.warn('[CLIENT] 📴 Offline, not sending analysis request');
+            const offlineError = this.createOfflineError();
+            if (callbacks.onError) callbacks.onError(offlineError);
+            if (callbacks.onDone) callbacks.onDone({ status: 'error' });
+            return { abort: () => {} };
+        }
+        
         let base64Image;
         if (imageData instanceof Blob) {
             console.log('[CLIENT] 📦 Converting Blob to base64...');
@@ -80,28 +275,127 @@ class ApiClient {
             console.log('[CLIENT] Using provided base64 string, length:', base64Image.length);
         }
 
-        const url = `${this.baseUrl}${config.api.endpoints.analyzeStream}`;
+        // Remember this frame so follow-up questions (askStream) can refer to it
+        const scene = { image: base64Image, history: [] };
+        this.lastScene = scene;
+
+        return this.streamRequest(config.api.endpoints.analyzeStream, {
+            image: base64Image,
+            ...options
+        }, {
+            ...callbacks,
+            onComplete: (data) => {
+                if (data.data?.text) {
+                    const question = options.query === 'read_text' ? 'Read the text.' : 'Describe what is around me.';
+                    scene.history.push({ question, answer: data.data.text });
+                }
+                if (callbacks.onComplete) callbacks.onComplete(data);
+            }
+        });
+    }
+
+    /**
+     * Ask a follow-up question about the last analyzed frame, streamed with the
+     * same SSE protocol and callbacks as analyzeImageStream
+     * @param {string} question - What the user wants to know
+     * @param {Object} callbacks - Same callbacks as analyzeImageStream
+     * @returns {Promise<{abort: Function}>} Abort function
+     */
+    async askStream(question, callbacks = {}) {
+        const scene = this.lastScene;
+        if (!scene) {
+            const error = new Error('No captured scene to ask about');
+            error.speech = 'Please capture a picture first, then ask your question.';
+            if (callbacks.onError) callbacks.onError(error);
+            if (callbacks.onDone) callbacks.onDone({ status: 'error' });
+            return { abort: () => {} };
+        }
+
+        console.log('[CLIENT] ❓ askStream called', { question, historyTurns: scene.history.length });
+
+        return this.streamRequest(config.api.endpoints.ask, {
+            question,
+            image: scene.image,
+            history: scene.history
+        }, {
+            ...callbacks,
+            onComplete: (data) => {
+                if (data.data?.text) {
+                    scene.history.push({ question, answer: data.data.text });
+                }
+                if (callbacks.onComplete) callbacks.onComplete(data);
+            }
+        });
+    }
+
+    /**
+     * Run a structured (JSON) vision query, e.g. find_object or check_obstacles
+     * @param {string|Blob} imageData - Base64 string or Blob
+     * @param {Object} context - Query context, e.g. { query: 'find_object', target: 'keys' }
+     * @returns {Promise<Object>} Schema-validated result (see api/_lib/vision-schemas.js)
+     * @throws {Error} With status, speech and (for 429) retryAfter
+     */
+    async analyzeVision(imageData, context) {
+        console.log('[CLIENT] 🔎 analyzeVision called', context);
+
+        const imageError = this.checkImage(imageData);
+        if (imageError) {
+            throw imageError;
+        }
+
+        const currentImage = imageData instanceof Blob ? await this.blobToBase64(imageData) : imageData;
+        const response = await this.request(config.api.endpoints.vision, {
+            method: 'POST',
+            body: JSON.stringify({ currentImage, context })
+        });
+        return response.json();
+    }
+
+    /**
+     * Whether a frame has been analyzed that follow-up questions can refer to
+     * @returns {boolean}
+     */
+    hasScene() {
+        return !!this.lastScene;
+    }
+
+    /**
+     * POST a JSON body and process the SSE response (see api/_lib/sse.js)
+     * @param {string} endpoint - API endpoint
+     * @param {Object} body - JSON request body
+     * @param {Object} callbacks - Event callbacks (see analyzeImageStream)
+     * @returns {Promise<{abort: Function}>} Abort function
+     */
+    async streamRequest(endpoint, body, callbacks = {}) {
+        const url = `${this.baseUrl}${endpoint}`;
         console.log('[CLIENT] 📡 Making request to:', url);
         const abortController = new AbortController();
+
+        // onDone is the single "request finished" signal. The server sends a
+        // `done` event, but network failures and truncated streams never get
+        // one, so it is synthesized for those paths.
+        let doneFired = false;
+        const fireDone = (data) => {
+            if (doneFired) return;
+            doneFired = true;
+            console.log('[CLIENT] 🏁 Calling onDone callback');
+            if (callbacks.onDone) callbacks.onDone(data);
+        };
         
         // Use fetch with ReadableStream for SSE
+        const requestBody = JSON.stringify(body);
         console.log('[CLIENT] 🔄 Sending fetch request...', {
             method: 'POST',
             url: url,
-            bodySize: JSON.stringify({ image: base64Image, ...options }).length
+            bodySize: requestBody.length
         });
         
         let response;
         try {
-            response = await fetch(url, {
+            response = await this.fetchWithAuth(url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    image: base64Image,
-                    ...options
-                }),
+                headers: this.buildHeaders(),
+                body: requestBody,
                 signal: abortController.signal,
             });
         } catch (fetchError) {
@@ -111,8 +405,10 @@ class ApiClient {
                 stack: fetchError.stack
             });
             if (callbacks.onError) {
-                callbacks.onError(fetchError);
+                // fetch rejects with a TypeError when the network is unreachable
+                callbacks.onError(fetchError.name === 'TypeError' ? this.createOfflineError(fetchError) : fetchError);
             }
+            fireDone({ status: 'error' });
             return { abort: () => {} };
         }
 
@@ -136,8 +432,9 @@ class ApiClient {
                 errorData = { message: 'Unknown error' };
             }
             if (callbacks.onError) {
-                callbacks.onError(new Error(errorData.message || errorData.error || `HTTP ${response.status}`));
+                callbacks.onError(this.createHttpError(response, errorData));
             }
+            fireDone({ status: 'error' });
             return { abort: () => {} };
         }
         
@@ -148,6 +445,7 @@ class ApiClient {
             if (callbacks.onError) {
                 callbacks.onError(new Error('Streaming not supported'));
             }
+            fireDone({ status: 'error' });
             return { abort: () => {} };
         }
         
@@ -158,6 +456,7 @@ class ApiClient {
         const decoder = new TextDecoder();
         let buffer = '';
         let eventCount = 0;
+        let aborted = false;
 
         console.log('[CLIENT] ✅ Reader created, starting to process stream...');
 
@@ -203,6 +502,9 @@ class ApiClient {
                                 // Call appropriate callback
                                 switch (currentEvent) {
                                     case 'start':
+                                        if (data.protocolVersion > SSE_PROTOCOL_VERSION) {
+                                            console.warn(`[CLIENT] ⚠️ Server speaks SSE protocol v${data.protocolVersion}, client supports v${SSE_PROTOCOL_VERSION}`);
+                                        }
                                         console.log('[CLIENT] 🎬 Calling onStart callback');
                                         if (callbacks.onStart) callbacks.onStart(data);
                                         break;
@@ -219,8 +521,7 @@ class ApiClient {
                                         if (callbacks.onComplete) callbacks.onComplete(data);
                                         break;
                                     case 'done':
-                                        console.log('[CLIENT] 🏁 Calling onDone callback');
-                                        if (callbacks.onDone) callbacks.onDone(data);
+                                        fireDone(data);
                                         break;
                                     case 'error':
                                         console.error('[CLIENT] ❌ Error event received:', data);
@@ -286,6 +587,10 @@ class ApiClient {
                     }
                 }
                 console.log(`[CLIENT] ✅ Stream processing complete. Total events: ${eventCount}`);
+                if (!doneFired && !aborted) {
+                    console.warn('[CLIENT] ⚠️ Stream ended without a done event');
+                    fireDone({ status: 'incomplete' });
+                }
             } catch (error) {
                 console.error('[CLIENT] ❌ Error in stream processing:', {
                     message: error.message,
@@ -293,9 +598,13 @@ class ApiClient {
                     stack: error.stack,
                     isAbortError: error.name === 'AbortError'
                 });
-                if (error.name !== 'AbortError' && callbacks.onError) {
+                if (aborted || error.name === 'AbortError') {
+                    return;
+                }
+                if (callbacks.onError) {
                     callbacks.onError(error);
                 }
+                fireDone({ status: 'error' });
             }
         };
 
@@ -304,12 +613,107 @@ class ApiClient {
 
         return {
             abort: () => {
+                aborted = true;
                 abortController.abort();
                 reader.cancel();
             }
         };
     }
 
+    /**
+     * Whether the browser knows it has no network connection
+     * @returns {boolean}
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Error for a request that could not reach the server
+     * @param {Error} cause - Original fetch error, if any
+     * @returns {Error} with code 'offline' and speech
+     */
+    createOfflineError(cause) {
+        const error = new Error(cause ? `Network error: ${cause.message}` : 'Offline');
+        error.code = 'offline';
+        error.speech = OFFLINE_SPEECH;
+        return error;
+    }
+
+    /**
+     * Check an image against config.app limits before uploading
+     * @param {string|Blob} imageData - Base64 string or Blob
+     * @returns {Error|null} Error with status 413/415, or null if acceptable
+     */
+    checkImage(imageData) {
+        const { maxImageSize, supportedFormats } = config.app;
+        let size;
+        let type;
+
+        if (imageData instanceof Blob) {
+            size = imageData.size;
+            type = imageData.type;
+        } else if (typeof imageData === 'string') {
+            const match = imageData.match(/^data:([\w/+.-]+);base64,/);
+            type = match ? match[1] : null; // Bare base64 - the server sniffs it
+            size = Math.floor((imageData.length - (match ? match[0].length : 0)) * 3 / 4);
+        } else {
+            return Object.assign(new Error('No image to analyze'), { status: 400 });
+        }
+
+        if (size > maxImageSize) {
+            const error = new Error(`Image is too large (${(size / 1024 / 1024).toFixed(1)}MB, limit ${(maxImageSize / 1024 / 1024).toFixed(0)}MB)`);
+            error.status = 413;
+            error.speech = 'That image is too large. Please try again.';
+            return error;
+        }
+
+        if (type && !supportedFormats.includes(type)) {
+            const error = new Error(`Unsupported image format: ${type}`);
+            error.status = 415;
+            error.speech = 'That file is not a photo I can read. Please try again.';
+            return error;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build an Error from a failed HTTP response
+     * Carries the status, the server's spoken message and, for 429s,
+     * how many seconds to wait (Retry-After) so callers can back off.
+     * @param {Response} response
+     * @param {Object} errorData - Parsed JSON error body
+     * @returns {Error}
+     */
+    createHttpError(response, errorData = {}) {
+        const error = new Error(errorData.message || errorData.error || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.speech = errorData.speech || null;
+
+        if (response.status === 429) {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || errorData.retryAfter || 0;
+            error.retryAfter = retryAfter;
+            error.message = `Rate limit exceeded. Please wait ${retryAfter || 'a few'} seconds before trying again.`;
+        }
+
+        return error;
+    }
+
+    /**
+     * Build request headers shared by all API calls
+     * @returns {Object}
+     */
+    buildHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+        if (config.api.fixtureScenario) {
+            headers['X-Fixture-Scenario'] = config.api.fixtureScenario;
+        }
+        return headers;
+    }
+
     /**
      * Check API health
      * @returns {Promise<Object>}
@@ -8,16 +8,58 @@ import { speech } from './speech.js';
 import { config } from './config.js';
 import { SentenceBuffer } from './sentence-buffer.js';
 import { TTSQueue } from './tts-queue.js';
+import { VoiceCommands } from './voice-commands.js';
+import { speechSettings, SETTING_RANGES } from './settings.js';
+import { haptics } from './haptics.js';
+import { audioCues } from './audio-cues.js';
+import { GestureZone } from './gestures.js';
+import { announcer } from './announcer.js';
+import { pwa } from './pwa.js';
 
 class App {
     constructor() {
         this.video = document.getElementById('video');
         this.canvas = document.getElementById('canvas');
         this.captureBtn = document.getElementById('capture-btn');
+        this.readTextBtn = document.getElementById('read-text-btn');
         this.startBtn = document.getElementById('start-camera-btn');
         this.stopBtn = document.getElementById('stop-camera-btn');
         this.startSidekickBtn = document.getElementById('start-sidekick-btn');
         this.switchCameraBtn = document.getElementById('switch-camera-btn');
+        this.askForm = document.getElementById('ask-form');
+        this.questionInput = document.getElementById('question-input');
+        this.searchForm = document.getElementById('search-form');
+        this.searchInput = document.getElementById('search-input');
+        this.stopSearchBtn = document.getElementById('stop-search-btn');
+        this.walkBtn = document.getElementById('walk-btn');
+        this.voiceBtn = document.getElementById('voice-btn');
+        this.torchBtn = document.getElementById('torch-btn');
+        this.zoomInBtn = document.getElementById('zoom-in-btn');
+        this.zoomOutBtn = document.getElementById('zoom-out-btn');
+        this.cameraSelect = document.getElementById('camera-select');
+        this.cameraSelectLabel = document.getElementById('camera-select-label');
+        this.settingsBtn = document.getElementById('speech-settings-btn');
+        this.settingsPanel = document.getElementById('speech-settings');
+        this.langSelect = document.getElementById('lang-select');
+        this.voiceSelect = document.getElementById('voice-select');
+        this.settingInputs = {
+            rate: document.getElementById('rate-input'),
+            pitch: document.getElementById('pitch-input'),
+            volume: document.getElementById('volume-input')
+        };
+        this.previewVoiceBtn = document.getElementById('preview-voice-btn');
+        this.earconsToggle = document.getElementById('earcons-toggle');
+        this.appEl = document.getElementById('app');
+        this.gestureBtn = document.getElementById('gesture-btn');
+        this.gestureLayer = document.getElementById('gesture-layer');
+        this.gestureZoneEl = document.getElementById('gesture-zone');
+        this.exitGestureBtn = document.getElementById('exit-gesture-btn');
+        this.livePoliteEl = document.getElementById('live-polite');
+        this.liveAssertiveEl = document.getElementById('live-assertive');
+        this.updateBanner = document.getElementById('update-banner');
+        this.updateBtn = document.getElementById('update-btn');
+        this.dismissUpdateBtn = document.getElementById('dismiss-update-btn');
+        this.resetSettingsBtn = document.getElementById('reset-settings-btn');
         this.statusEl = document.getElementById('status');
         this.outputEl = document.getElementById('output');
         
@@ -27,20 +69,93 @@ class App {
         this.currentStreamAbort = null;
         this.lastCaptureTime = 0;
         this.minCaptureInterval = 4000; // 4 seconds minimum between captures (15 requests/min limit = 4 sec/request)
+        this.rateLimitedUntil = 0; // Set from the server's Retry-After on 429
+        this.search = null; // Active object search: { target, startedAt, lastScore, timer }
+        this.walk = null; // Active walk mode: { interval, captures, clearStreak, errors, lastSpeech, timer }
+        this.busyRetryDelay = 500; // Auto-capture poll while a manual request is in flight
+        this.gestures = null; // GestureZone of the whole-screen gesture mode
+        this.answerCache = new Map(); // Query kind -> { signature, time, answer }, see getCachedAnswer
         
-        // Initialize sentence buffer and TTS queue
-        this.sentenceBuffer = new SentenceBuffer();
+        // Initialize sentence buffer and TTS queue (saved speech settings; the
+        // voice itself is applied once the voice list has loaded)
+        this.sentenceBuffer = new SentenceBuffer({
+            clauseLength: config.speech.clauseLength,
+            clauseDelay: config.speech.clauseDelay
+        });
+        const { rate, pitch, volume, lang } = speechSettings.get();
         this.ttsQueue = new TTSQueue({
-            rate: 1.1, // Slightly faster for navigation
-            pitch: 1.0,
-            volume: 1.0,
-            lang: 'en-US'
+            rate,
+            pitch,
+            volume,
+            lang,
+            dedupeWindow: config.speech.dedupeWindow
         });
         
+        // Hazard sentences already spoken as warnings for the current capture
+        this.hazardTexts = [];
+        
+        // Last complete answer, for the "repeat" voice command
+        this.lastAnswerText = null;
+        
+        // Voice commands - never listen while speaking, or the app hears itself
+        this.voice = new VoiceCommands();
+        this.ttsQueue.onSpeakingChange = (active) => (active ? this.voice.pause() : this.voice.resume());
+        
+        // Voice command intent name -> action (add an intent in voice-commands.js and an entry here)
+        this.voiceActions = {
+            whats_ahead: () => this.checkAhead(),
+            describe: () => this.captureAndAnalyze(),
+            read_text: () => this.captureAndAnalyze({ query: 'read_text' }),
+            find_object: ({ target }) => this.startSearch(target),
+            stop_search: () => this.stopSearch('Search stopped.'),
+            repeat: () => this.repeatLastAnswer(),
+            stop: () => this.stopAll(),
+            slower: () => this.changeSpeechRate(-config.voice.rateStep),
+            faster: () => this.changeSpeechRate(config.voice.rateStep),
+            next_voice: () => this.nextVoice(),
+            preview_voice: () => this.previewVoice(),
+            walk_start: () => this.startWalk(),
+            walk_stop: () => this.stopWalk(),
+            light: ({ state }) => this.toggleTorch(state ? state === 'on' : undefined),
+            sounds: ({ state }) => this.setEarconsMuted(state === 'off' || state === 'mute'),
+            zoom_in: () => this.zoom(1),
+            zoom_out: () => this.zoom(-1),
+            switch_camera: () => this.switchCamera(),
+            help: () => this.ttsQueue.enqueue(`You can say: ${this.voice.getHelpPhrases().join(', ')}.`)
+        };
+        
+        // Keyboard shortcuts (lowercase key -> action); "?" speaks the list
+        this.shortcuts = {
+            c: { label: 'capture', action: () => this.captureAndAnalyze() },
+            t: { label: 'read text', action: () => this.captureAndAnalyze({ query: 'read_text' }) },
+            a: { label: "what's ahead", action: () => this.checkAhead() },
+            r: { label: 'repeat', action: () => this.repeatLastAnswer() },
+            s: { label: 'stop', action: () => this.stopAll() },
+            q: { label: 'ask a question by voice', action: () => this.askByVoice() },
+            w: { label: 'walk mode', action: () => (this.walk ? this.stopWalk() : this.startWalk()) },
+            f: { label: 'find an object', action: () => this.searchInput && this.searchInput.focus() },
+            v: { label: 'voice commands', action: () => this.toggleVoiceCommands() },
+            g: { label: 'gesture mode', action: () => this.setGestureMode(this.gestureLayer.hidden) },
+            '?': { label: 'list shortcuts', action: () => this.speakShortcuts() }
+        };
+        
         // Connect sentence buffer to TTS queue
-        this.sentenceBuffer.onSentence = (sentence) => {
-            console.log('📢 [App] Complete sentence ready:', sentence);
-            this.ttsQueue.enqueue(sentence);
+        this.sentenceBuffer.onSentence = (sentence, kind) => {
+            if (this.isHazardEcho(sentence)) {
+                console.log('🔇 [App] Skipping sentence already spoken as hazard:', sentence);
+                return;
+            }
+            console.log(`📢 [App] Complete ${kind} ready:`, sentence);
+            // Doors at a clock position get a panned cue ahead of the speech
+            audioCues.describedSentence(sentence);
+            if (kind === 'warning') {
+                announcer.assertive(sentence);
+                this.ttsQueue.enqueue(sentence, { priority: 'urgent' });
+                return;
+            }
+            announcer.polite(sentence);
+            // Descriptions go stale once the user has moved on
+            this.ttsQueue.enqueue(sentence, { ttl: config.speech.descriptionTtl });
         };
     }
 
@@ -48,11 +163,12 @@ class App {
         console.log('🚀 Initializing SideKick app...');
         
         // Check if elements exist
-        if (!this.video || !this.canvas || !this.captureBtn || !this.startBtn || !this.stopBtn) {
+        if (!this.video || !this.canvas || !this.captureBtn || !this.readTextBtn || !this.startBtn || !this.stopBtn) {
             console.error('❌ Missing required DOM elements!', {
                 video: !!this.video,
                 canvas: !!this.canvas,
                 captureBtn: !!this.captureBtn,
+                readTextBtn: !!this.readTextBtn,
                 startBtn: !!this.startBtn,
                 stopBtn: !!this.stopBtn
             });
@@ -65,7 +181,12 @@ class App {
         console.log('✅ Camera initialized');
         
         // Setup event listeners
+        announcer.init(this.livePoliteEl, this.liveAssertiveEl);
         this.setupEventListeners();
+        this.setupSpeechSettings();
+        this.setupGestureMode();
+        this.setupKeyboardShortcuts();
+        this.setupPwa();
         console.log('✅ Event listeners attached');
         
         // Check camera availability
@@ -90,10 +211,396 @@ class App {
         this.stopBtn.addEventListener('click', () => this.stopCamera());
         this.captureBtn.addEventListener('click', () => this.captureAndAnalyze());
         
+        // Read text: same capture, but the model reads signs/labels/documents aloud
+        this.readTextBtn.addEventListener('click', () => this.captureAndAnalyze({ query: 'read_text' }));
+        
         // Camera switch button
         if (this.switchCameraBtn) {
             this.switchCameraBtn.addEventListener('click', () => this.switchCamera());
         }
+        
+        // Follow-up question about the last capture
+        if (this.askForm) {
+            this.askForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.askQuestion(this.questionInput.value);
+                this.questionInput.value = '';
+            });
+        }
+        
+        // Torch and zoom (buttons appear only when the camera supports them)
+        if (this.torchBtn) {
+            this.torchBtn.addEventListener('click', () => this.toggleTorch());
+            this.zoomInBtn.addEventListener('click', () => this.zoom(1));
+            this.zoomOutBtn.addEventListener('click', () => this.zoom(-1));
+        }
+        this.setupPreviewGestures();
+        
+        // Camera picker
+        if (this.cameraSelect) {
+            this.cameraSelect.addEventListener('change', () => this.selectCamera(this.cameraSelect.value));
+        }
+        
+        // Saved camera missing at start, or the active camera went away
+        camera.onDeviceFallback = () => {
+            this.ttsQueue.enqueue('Your chosen camera is not connected. Using the default camera.');
+        };
+        camera.onEnded = () => {
+            this.ttsQueue.enqueue('The camera was disconnected. Trying another camera.');
+            this.stopCamera();
+            this.startCamera();
+        };
+        
+        // Auto torch from camera.capture: on when a frame is too dark, off once it is bright again
+        camera.onTorchChange = (on) => {
+            this.ttsQueue.enqueue(on ? 'It is dark, turning on the light.' : 'It is bright enough, turning off the light.');
+            this.updateCameraControls();
+        };
+        
+        // Voice commands
+        if (this.voiceBtn) {
+            this.voiceBtn.hidden = !VoiceCommands.isSupported() || !config.voice.enabled;
+            this.voiceBtn.addEventListener('click', () => this.toggleVoiceCommands());
+        }
+        this.voice.onCommand = (intent, params, transcript) => this.handleVoiceCommand(intent, params, transcript);
+        this.voice.onUnrecognized = (transcript) => {
+            this.showStatus(`Heard "${transcript}" - say "help" for commands`, 'info');
+            // Long phrases are probably conversation nearby, not meant for the app
+            if (transcript.split(/\s+/).length <= 5) {
+                this.ttsQueue.enqueue('Sorry, I did not understand. Say help to hear the commands.');
+            }
+        };
+        this.voice.onStateChange = (listening) => {
+            if (this.voiceBtn) {
+                this.voiceBtn.textContent = listening ? '🎙️ Voice Commands On' : '🎙️ Voice Commands Off';
+                this.voiceBtn.setAttribute('aria-pressed', String(listening));
+            }
+        };
+        this.voice.onError = (error) => {
+            if (error === 'not-allowed' || error === 'service-not-allowed') {
+                this.ttsQueue.enqueue('Voice commands need microphone permission.');
+            }
+        };
+        
+        // Walk mode toggle
+        if (this.walkBtn) {
+            this.walkBtn.addEventListener('click', () => (this.walk ? this.stopWalk() : this.startWalk()));
+        }
+        
+        // Object search ("keys") - keeps capturing until it is found
+        if (this.searchForm) {
+            this.searchForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.startSearch(this.searchInput.value);
+            });
+            this.stopSearchBtn.addEventListener('click', () => this.stopSearch('Search stopped.'));
+        }
+    }
+
+    /**
+     * Speech settings panel: every change is saved and applied to the TTS queue
+     */
+    setupSpeechSettings() {
+        speechSettings.onChange = () => {
+            this.applySpeechSettings();
+            this.renderSpeechSettings();
+        };
+
+        // Voices load asynchronously; until then the browser default is used
+        speechSettings.loadVoices().then(() => {
+            this.applySpeechSettings();
+            this.renderSpeechSettings();
+        });
+
+        if (!this.settingsPanel) {
+            return;
+        }
+
+        this.settingsBtn.addEventListener('click', () => {
+            const open = this.settingsPanel.hidden;
+            this.settingsPanel.hidden = !open;
+            this.settingsBtn.setAttribute('aria-expanded', String(open));
+            if (open) {
+                this.langSelect.focus();
+            }
+        });
+
+        this.langSelect.addEventListener('change', () => speechSettings.update({ lang: this.langSelect.value }));
+        this.voiceSelect.addEventListener('change', () => {
+            speechSettings.update({ voiceURI: this.voiceSelect.value || null });
+        });
+        for (const [key, input] of Object.entries(this.settingInputs)) {
+            const range = SETTING_RANGES[key];
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+            input.addEventListener('change', () => speechSettings.update({ [key]: input.value }));
+        }
+        this.previewVoiceBtn.addEventListener('click', () => this.previewVoice());
+        this.earconsToggle.checked = !audioCues.earconsMuted;
+        this.earconsToggle.addEventListener('change', () => this.setEarconsMuted(!this.earconsToggle.checked));
+        this.resetSettingsBtn.addEventListener('click', () => {
+            speechSettings.reset();
+            this.previewVoice();
+        });
+
+        this.renderSpeechSettings();
+    }
+
+    /**
+     * Push the saved speech settings to the TTS queue
+     */
+    applySpeechSettings() {
+        this.ttsQueue.configure({ ...speechSettings.get(), voice: speechSettings.getVoice() });
+    }
+
+    /**
+     * Show the saved speech settings in the settings panel
+     */
+    renderSpeechSettings() {
+        if (!this.settingsPanel) {
+            return;
+        }
+
+        const values = speechSettings.get();
+        const option = (value, label, selected) => {
+            const element = document.createElement('option');
+            element.value = value;
+            element.textContent = label;
+            element.selected = selected;
+            return element;
+        };
+
+        const languages = speechSettings.getLanguages();
+        if (!languages.includes(values.lang)) {
+            languages.unshift(values.lang);
+        }
+        this.langSelect.replaceChildren(...languages.map((lang) => option(lang, lang, lang === values.lang)));
+
+        this.voiceSelect.replaceChildren(
+            option('', 'Default voice', !values.voiceURI),
+            ...speechSettings.getVoicesForLang().map((voice) => option(voice.voiceURI, voice.name, voice.voiceURI === values.voiceURI))
+        );
+
+        // aria-valuetext so screen readers announce "1.1 times" rather than "1.1"
+        for (const [key, input] of Object.entries(this.settingInputs)) {
+            input.value = values[key];
+            input.setAttribute('aria-valuetext', key === 'volume'
+                ? `${Math.round(values[key] * 100)} percent`
+                : `${values[key]} times`);
+        }
+    }
+
+    /**
+     * Say a sample sentence with the current settings
+     */
+    previewVoice() {
+        const voice = speechSettings.getVoice();
+        const { rate } = speechSettings.get();
+        this.ttsQueue.stop();
+        this.ttsQueue.enqueue(`This is ${voice ? voice.name : 'the default voice'}, at speed ${rate}. Door at 2 o'clock, about 10 feet ahead.`);
+    }
+
+    /**
+     * Mute or unmute the state earcons (saved) and confirm
+     * @param {boolean} muted
+     */
+    setEarconsMuted(muted) {
+        audioCues.setEarconsMuted(muted);
+        if (this.earconsToggle) {
+            this.earconsToggle.checked = !muted;
+        }
+        // Confirm with the sound itself when turning them on
+        if (!muted) {
+            audioCues.play('complete');
+        }
+        this.ttsQueue.enqueue(muted ? 'Sound effects off.' : 'Sound effects on.');
+    }
+
+    /**
+     * Switch to the next installed voice for the current language and preview it
+     */
+    nextVoice() {
+        const voices = speechSettings.getVoicesForLang();
+        if (voices.length === 0) {
+            this.ttsQueue.stop();
+            this.ttsQueue.enqueue('No other voices are installed for this language.');
+            return;
+        }
+
+        const current = voices.findIndex((voice) => voice.voiceURI === speechSettings.get().voiceURI);
+        const next = voices[(current + 1) % voices.length];
+        speechSettings.update({ voiceURI: next.voiceURI });
+        this.previewVoice();
+    }
+
+    /**
+     * Service worker (offline shell, update prompt) and connection changes
+     */
+    setupPwa() {
+        pwa.onUpdateAvailable = () => {
+            if (!this.updateBanner) {
+                return;
+            }
+            this.updateBanner.hidden = false;
+            this.ttsQueue.enqueue('An update for SideKick is available. Choose Update Now to restart with it.', { priority: 'low' });
+        };
+        if (this.updateBanner) {
+            this.updateBtn.addEventListener('click', () => {
+                this.updateBtn.disabled = true;
+                pwa.applyUpdate();
+            });
+            this.dismissUpdateBtn.addEventListener('click', () => {
+                this.updateBanner.hidden = true;
+                this.captureBtn.focus();
+            });
+        }
+        pwa.register();
+
+        // Automatic capture would only fail while offline
+        window.addEventListener('offline', () => {
+            console.warn('📴 [App] Connection lost');
+            const message = 'You are offline. Analysis needs an internet connection.';
+            if (this.walk) {
+                this.stopWalk(`${message} Walk mode stopped.`);
+            } else if (this.search) {
+                this.stopSearch(`${message} Search stopped.`);
+            } else {
+                this.ttsQueue.enqueue(message);
+                this.showStatus(message, 'error');
+            }
+            announcer.assertive(message);
+        });
+        window.addEventListener('online', () => {
+            console.log('🌐 [App] Connection restored');
+            this.ttsQueue.enqueue('Back online.');
+            this.showStatus('Back online', 'success');
+        });
+    }
+
+    /**
+     * Whole-screen gesture layer: tap = capture, double-tap = repeat,
+     * swipe down = stop speech, long-press = ask a question by voice
+     */
+    setupGestureMode() {
+        if (!this.gestureLayer) {
+            return;
+        }
+
+        this.gestures = new GestureZone(this.gestureZoneEl);
+        this.gestures.onTap = () => this.captureAndAnalyze();
+        this.gestures.onDoubleTap = () => this.repeatLastAnswer();
+        this.gestures.onSwipeDown = () => this.stopAll();
+        this.gestures.onLongPress = () => this.askByVoice();
+
+        this.gestureBtn.addEventListener('click', () => this.setGestureMode(true));
+        this.exitGestureBtn.addEventListener('click', () => this.setGestureMode(false));
+    }
+
+    /**
+     * Show or hide the gesture layer; the rest of the page is inert meanwhile
+     * so screen reader focus cannot wander behind it
+     * @param {boolean} on
+     */
+    setGestureMode(on) {
+        if (!this.gestureLayer || this.gestureLayer.hidden === !on) {
+            return;
+        }
+
+        this.gestureLayer.hidden = !on;
+        this.appEl.inert = on;
+        this.gestureBtn.setAttribute('aria-pressed', String(on));
+        if (on) {
+            this.gestureZoneEl.focus();
+            this.ttsQueue.enqueue('Gesture mode. Tap to capture, double-tap to repeat, swipe down to stop, press and hold to ask a question.');
+        } else {
+            this.gestures.reset();
+            this.gestureBtn.focus();
+            this.ttsQueue.enqueue('Gesture mode off.');
+        }
+    }
+
+    /**
+     * Single-key shortcuts (see this.shortcuts); Escape closes the settings
+     * panel or gesture mode, otherwise stops everything
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) {
+                return;
+            }
+
+            if (event.key === 'Escape') {
+                if (this.settingsPanel && !this.settingsPanel.hidden) {
+                    this.settingsPanel.hidden = true;
+                    this.settingsBtn.setAttribute('aria-expanded', 'false');
+                    this.settingsBtn.focus();
+                } else if (this.gestureLayer && !this.gestureLayer.hidden) {
+                    this.setGestureMode(false);
+                } else {
+                    this.stopAll();
+                }
+                event.preventDefault();
+                return;
+            }
+
+            // Letters typed into the question/search fields are not shortcuts
+            const target = event.target;
+            if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) {
+                return;
+            }
+
+            const shortcut = this.shortcuts[event.key.toLowerCase()];
+            if (shortcut) {
+                event.preventDefault();
+                shortcut.action();
+            }
+        });
+    }
+
+    /**
+     * Say the keyboard shortcuts
+     */
+    speakShortcuts() {
+        const list = Object.entries(this.shortcuts)
+            .map(([key, { label }]) => `${key === '?' ? 'question mark' : key.toUpperCase()}, ${label}`)
+            .join('. ');
+        this.ttsQueue.stop();
+        this.ttsQueue.enqueue(`Keyboard shortcuts: ${list}. Escape, stop.`);
+    }
+
+    /**
+     * Listen for one spoken question about the last capture and ask it
+     */
+    async askByVoice() {
+        if (!VoiceCommands.isSupported()) {
+            this.ttsQueue.enqueue('Voice questions are not supported in this browser.');
+            return;
+        }
+        if (!api.hasScene()) {
+            this.ttsQueue.enqueue('Please capture a picture first, then ask your question.');
+            return;
+        }
+        if (this.isProcessing) {
+            return;
+        }
+
+        // Nothing may be speaking while the microphone listens
+        this.ttsQueue.stop();
+        audioCues.play('listening');
+        haptics.capture();
+        this.showStatus('Listening for your question...', 'info');
+
+        const question = await this.voice.listenOnce();
+        if (!question) {
+            this.showStatus('No question heard', 'info');
+            this.ttsQueue.enqueue('I did not hear a question.');
+            return;
+        }
+        if (this.questionInput) {
+            this.questionInput.value = '';
+        }
+        this.askQuestion(question);
     }
 
     /**
@@ -106,6 +613,7 @@ class App {
             // Unlock audio (required for mobile TTS)
             this.showStatus('Unlocking audio...', 'info');
             await this.ttsQueue.unlockAudio();
+            await audioCues.unlock();
             this.audioUnlocked = true;
             
             // Speak confirmation
@@ -125,6 +633,14 @@ class App {
             // Auto-start camera
             await this.startCamera();
             
+            // The focused start button is gone - move focus to the main action
+            (this.captureBtn.disabled ? this.startBtn : this.captureBtn).focus();
+            
+            // Start gesture also unlocks the microphone
+            if (config.voice.enabled && config.voice.autoStart && VoiceCommands.isSupported()) {
+                this.startVoiceCommands();
+            }
+            
             this.showStatus('SideKick ready!', 'success');
             
         } catch (error) {
@@ -134,7 +650,7 @@ class App {
     }
 
     /**
-     * Switch between front and back camera
+     * Switch to the next connected camera and say which one is active
      */
     async switchCamera() {
         if (!camera.isActive) {
@@ -145,11 +661,68 @@ class App {
         try {
             this.showStatus('Switching camera...', 'info');
             await camera.switchCamera();
-            this.showStatus('Camera switched', 'success');
+            await this.onCameraChanged();
         } catch (error) {
             console.error('❌ [App] Error switching camera:', error);
             this.showStatus(`Error: ${error.message}`, 'error');
+            this.ttsQueue.enqueue(error.message === 'No other camera available'
+                ? 'There is no other camera.'
+                : 'Could not switch camera.');
+        }
+    }
+
+    /**
+     * Use a specific camera from the camera list (remembered across sessions)
+     * @param {string} deviceId
+     */
+    async selectCamera(deviceId) {
+        try {
+            this.showStatus('Switching camera...', 'info');
+            await camera.selectDevice(deviceId);
+            await this.onCameraChanged();
+        } catch (error) {
+            console.error('❌ [App] Error selecting camera:', error);
+            this.showStatus(`Error: ${error.message}`, 'error');
+            this.ttsQueue.enqueue('Could not switch camera.');
+        }
+    }
+
+    /**
+     * Refresh everything that depends on which camera is active
+     */
+    async onCameraChanged() {
+        this.answerCache.clear(); // Answers were for the other camera's view
+        this.updateButtonStates(camera.isActive);
+        this.updateCameraControls();
+        const devices = await this.refreshCameraList();
+        const current = devices.find((device) => device.deviceId === camera.getCurrentDeviceId());
+        const name = current ? current.label : 'camera';
+        this.showStatus(`Using ${name}`, 'success');
+        this.ttsQueue.enqueue(`Using ${name}.`);
+    }
+
+    /**
+     * Fill the camera picker with the connected cameras
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async refreshCameraList() {
+        const devices = await camera.listDevices();
+        if (!this.cameraSelect) {
+            return devices;
         }
+
+        const currentId = camera.getCurrentDeviceId();
+        this.cameraSelect.replaceChildren(...devices.map((device) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label;
+            option.selected = device.deviceId === currentId;
+            return option;
+        }));
+
+        // A picker only helps with more than one camera
+        this.cameraSelectLabel.hidden = devices.length < 2;
+        return devices;
     }
 
     async startCamera() {
@@ -157,11 +730,14 @@ class App {
         try {
             this.showStatus('Starting camera...', 'info');
             
-            // Start with back camera (environment) for navigation
-            await camera.start('environment');
+            // Saved camera if it is still connected, otherwise the back camera (environment)
+            await camera.start();
             
             this.showStatus('Camera active - Ready to capture!', 'success');
+            audioCues.play('camera_started');
             this.updateButtonStates(true);
+            this.updateCameraControls();
+            await this.refreshCameraList();
             
             // Show switch camera button if multiple cameras available
             if (this.switchCameraBtn) {
@@ -171,28 +747,40 @@ class App {
             console.log('✅ [App] Camera started successfully');
         } catch (error) {
             console.error('❌ [App] Camera start failed:', error);
+            audioCues.play('error');
             this.showStatus(`Error: ${error.message}`, 'error');
         }
     }
 
     stopCamera() {
-        // Abort any ongoing stream
+        this.stopSearch();
+        this.stopWalk();
+        
+        // Abort any ongoing stream (onDone is not called after abort)
         if (this.currentStreamAbort) {
             this.currentStreamAbort.abort();
             this.currentStreamAbort = null;
         }
+        audioCues.stopWaiting();
+        this.isProcessing = false;
         
         // Stop TTS and clear buffers
         this.ttsQueue.stop();
         this.sentenceBuffer.reset();
         
         camera.stop();
+        this.answerCache.clear();
         this.showStatus('Camera stopped', 'info');
         this.updateButtonStates(false);
+        this.updateCameraControls();
     }
 
-    async captureAndAnalyze() {
-        console.log('📸 Capture & Analyze clicked');
+    /**
+     * Capture a frame and stream its analysis
+     * @param {Object} options - Passed to api.analyzeImageStream (e.g. { query: 'read_text' })
+     */
+    async captureAndAnalyze(options = {}) {
+        console.log('📸 Capture & Analyze clicked', options);
         
         if (this.isProcessing) {
             console.log('⏸️ Already processing, ignoring click');
@@ -202,31 +790,56 @@ class App {
         if (!camera.isActive) {
             console.warn('⚠️ Camera not active');
             this.showStatus('Please start camera first', 'error');
+            this.ttsQueue.enqueue('Please start the camera first.');
             return;
         }
         
         console.log('✅ Starting capture and analysis...');
-
-        // Client-side throttling: prevent rapid-fire captures
-        const now = Date.now();
-        const timeSinceLastCapture = now - this.lastCaptureTime;
-        if (timeSinceLastCapture < this.minCaptureInterval) {
-            const waitTime = Math.ceil((this.minCaptureInterval - timeSinceLastCapture) / 1000);
-            this.showStatus(`Please wait ${waitTime} second${waitTime > 1 ? 's' : ''} before capturing again`, 'error');
-            return;
-        }
-
-        // Stop any ongoing speech and clear buffers
-        this.ttsQueue.stop();
-        this.sentenceBuffer.reset();
+        const cacheKey = options.query || 'describe';
 
         try {
             this.isProcessing = true;
             this.captureBtn.disabled = true;
+            this.readTextBtn.disabled = true;
             this.showStatus('Capturing image...', 'info');
 
+            // Small print needs a fresh focus before the frame is taken
+            if (options.query === 'read_text') {
+                await camera.focusOnce();
+            }
+
             // Capture image (single frame from video preview)
             let imageBlob = await camera.capture('image/jpeg', 0.75);
+            const signature = camera.lastSignature;
+            haptics.capture();
+            audioCues.play('capture');
+            
+            // Same scene as last time: repeat that answer instead of spending a request
+            const cached = this.getCachedAnswer(cacheKey, signature);
+            if (cached) {
+                this.ttsQueue.stop();
+                this.sentenceBuffer.reset();
+                this.ttsQueue.enqueue(`No change. ${cached.text}`);
+                announcer.clear();
+                announcer.polite(`No change. ${cached.text}`);
+                this.lastAnswerText = cached.text;
+                this.displayResult(cached);
+                this.showStatus('Scene unchanged - repeating the last answer', 'success');
+                this.releaseCaptureButtons();
+                return;
+            }
+
+            // Client-side throttling: prevent rapid-fire captures
+            if (this.isThrottled()) {
+                this.releaseCaptureButtons();
+                return;
+            }
+
+            // Stop any ongoing speech and clear buffers
+            this.ttsQueue.stop();
+            this.sentenceBuffer.reset();
+            this.hazardTexts = [];
+            announcer.clear();
             
             // Record capture time for throttling
             this.lastCaptureTime = Date.now();
@@ -237,110 +850,17 @@ class App {
             // Start streaming analysis with SSE
             this.showStatus('Streaming analysis...', 'info');
             
-            let accumulatedText = '';
-            let streamAbort = null;
-            let firstChunkReceived = false;
-            let hazardDetected = false;
-
             console.log('📡 Starting API stream request...');
-            streamAbort = await api.analyzeImageStream(imageBlob, {}, {
-                onStart: (data) => {
-                    console.log('✅ Stream started:', data);
-                    this.showStatus(`Analyzing... (${data.model})`, 'info');
-                    // Update button to show it's processing
-                    this.captureBtn.textContent = 'Analyzing...';
-                },
-                
-                onChunk: (data) => {
-                    // Track first chunk for latency measurement
-                    if (!firstChunkReceived) {
-                        firstChunkReceived = true;
-                        const latency = data.latency || 0;
-                        console.log(`📡 [App] First chunk received in ${latency}ms`);
-                        this.showStatus(`Streaming... (first words in ${latency}ms)`, 'info');
-                    }
-                    
-                    // Add chunk to sentence buffer (will extract complete sentences)
-                    const chunkText = data.text || '';
-                    if (chunkText) {
-                        accumulatedText += chunkText;
-                        
-                        // Send to sentence buffer (will queue complete sentences for TTS)
-                        this.sentenceBuffer.addChunk(chunkText);
-                        
-                        // Update UI progressively
-                        this.outputEl.innerHTML = `<div class="result-text streaming">${this.escapeHtml(accumulatedText)}</div>`;
-                    }
-                },
-                
-                onHazard: (data) => {
-                    hazardDetected = true;
-                    console.log('⚠️ [App] Hazard detected:', data);
-                    
-                    // Stop current speech and speak hazard warning immediately
-                    this.ttsQueue.stop();
-                    this.sentenceBuffer.reset();
-                    const warning = `Warning: ${data.text || 'Hazard detected'}`;
-                    this.ttsQueue.enqueue(warning);
-                    
-                    // Update UI with hazard warning
-                    this.outputEl.innerHTML = `
-                        <div class="hazard-warning ${data.severity}">
-                            ⚠️ ${this.escapeHtml(warning)}
-                        </div>
-                        <div class="result-text streaming">${this.escapeHtml(accumulatedText)}</div>
-                    `;
-                    
-                    this.showStatus(`⚠️ Hazard detected: ${data.type}`, 'error');
-                },
-                
-                onComplete: (data) => {
-                    console.log('✅ [App] Stream complete:', data);
-                    
-                    // Flush any remaining buffer (incomplete sentence at end)
-                    this.sentenceBuffer.flush();
-                    
-                    // Display final parsed result
-                    if (data.data) {
-                        this.displayResult(data.data);
-                    }
-                    
-                    const latency = data.latency || {};
-                    this.showStatus(
-                        `Complete (${latency.total}ms total, ${latency.firstChunk}ms to first chunk)`,
-                        'success'
-                    );
-                },
-                
-                onDone: (data) => {
-                    console.log('🏁 [App] Stream done:', data);
-                    
-                    // Ensure any remaining buffer is flushed
-                    this.sentenceBuffer.flush();
-                    
-                    this.isProcessing = false;
-                    this.captureBtn.disabled = false;
-                    this.captureBtn.textContent = 'Capture & Analyze';
-                },
-                
-                onError: (error) => {
-                    console.error('[APP] ❌ Stream error callback triggered:', {
-                        message: error.message,
-                        name: error.name,
-                        stack: error.stack,
-                        errorObject: error
-                    });
-                    
-                    // Stop TTS and clear buffers on error
-                    this.ttsQueue.stop();
-                    this.sentenceBuffer.reset();
-                    
-                    this.showStatus(`Error: ${error.message}`, 'error');
-                    this.isProcessing = false;
-                    this.captureBtn.disabled = false;
-                    this.captureBtn.textContent = 'Capture & Analyze';
+            const callbacks = this.createStreamCallbacks();
+            const onComplete = callbacks.onComplete;
+            callbacks.onComplete = (data) => {
+                onComplete(data);
+                if (data.data?.text) {
+                    this.rememberAnswer(cacheKey, signature, data.data);
                 }
-            });
+            };
+            audioCues.startWaiting();
+            const streamAbort = await api.analyzeImageStream(imageBlob, options, callbacks);
 
             // Store abort function for potential cancellation
             this.currentStreamAbort = streamAbort;
@@ -351,46 +871,904 @@ class App {
             // Stop TTS and clear buffers on error
             this.ttsQueue.stop();
             this.sentenceBuffer.reset();
+            audioCues.stopWaiting();
+            audioCues.play('error');
             
-            this.showStatus(`Error: ${error.message}`, 'error');
-            this.isProcessing = false;
-            this.captureBtn.disabled = false;
+            // Failed quality checks come with guidance ("hold steady") - say it right away
+            if (error.speech) {
+                this.ttsQueue.enqueue(error.speech);
+            }
+            this.showStatus(error.code === 'image_quality' ? error.speech : `Error: ${error.message}`, 'error');
+            this.releaseCaptureButtons();
         }
     }
 
-    displayResult(result) {
-        if (!result) {
-            this.outputEl.textContent = 'No result';
+    /**
+     * Start listening for voice commands and say so
+     */
+    startVoiceCommands() {
+        if (!this.voice.start()) {
+            this.ttsQueue.enqueue('Voice commands are not supported in this browser.');
             return;
         }
-
-        let html = '';
-        
-        if (result.text) {
-            html += `<div class="result-text">${this.escapeHtml(result.text)}</div>`;
-        }
-        
-        if (result.confidence) {
-            html += `<div class="result-confidence">Confidence: ${(result.confidence * 100).toFixed(1)}%</div>`;
-        }
-        
-        if (result.tags && result.tags.length > 0) {
-            html += `<div class="result-tags">Tags: ${result.tags.join(', ')}</div>`;
+        this.ttsQueue.enqueue('Voice commands on. Say help to hear what you can say.');
+        // Already speaking: wait until the queue is quiet
+        if (this.ttsQueue.active) {
+            this.voice.pause();
         }
+    }
 
-        this.outputEl.innerHTML = html || 'No data available';
+    /**
+     * Voice commands button
+     */
+    toggleVoiceCommands() {
+        if (this.voice.listening) {
+            this.voice.stop();
+            this.ttsQueue.enqueue('Voice commands off.');
+        } else {
+            this.startVoiceCommands();
+        }
     }
 
-    showStatus(message, type = 'info') {
-        this.statusEl.textContent = message;
-        this.statusEl.className = type;
-        
-        if (type === 'info') {
-            this.statusEl.innerHTML = `<span class="loading"></span> ${message}`;
+    /**
+     * Run the action for a recognized voice command
+     * @param {Object} intent - Matched intent from the intent table
+     * @param {Object} params - Named groups from the pattern (e.g. target)
+     * @param {string} transcript - What was heard
+     */
+    handleVoiceCommand(intent, params, transcript) {
+        const action = this.voiceActions[intent.name];
+        if (!action) {
+            console.warn('⚠️ [App] No action for voice intent:', intent.name);
+            return;
         }
+        this.showStatus(`🎙️ "${transcript}"`, 'info');
+        action(params);
     }
 
-    updateButtonStates(cameraActive) {
+    /**
+     * One-off "what's ahead": a check_obstacles query, spoken as soon as it arrives
+     */
+    async checkAhead() {
+        if (this.isProcessing) {
+            return;
+        }
+        if (!camera.isActive) {
+            this.showStatus('Please start camera first', 'error');
+            this.ttsQueue.enqueue('Please start the camera first.');
+            return;
+        }
+
+        this.isProcessing = true;
+        this.captureBtn.disabled = true;
+        this.readTextBtn.disabled = true;
+        try {
+            const imageBlob = await camera.capture('image/jpeg', 0.75);
+            const signature = camera.lastSignature;
+            let result = this.getCachedAnswer('check_obstacles', signature);
+            if (!result) {
+                if (this.isThrottled()) {
+                    return;
+                }
+                this.lastCaptureTime = Date.now();
+                this.showStatus('Checking the path...', 'info');
+                audioCues.startWaiting();
+                result = await api.analyzeVision(imageBlob, { query: 'check_obstacles' });
+                this.rememberAnswer('check_obstacles', signature, result);
+            }
+            this.ttsQueue.stop();
+            this.ttsQueue.enqueue(result.speech);
+            if (result.pathClear) {
+                announcer.polite(result.speech);
+                haptics.done();
+            } else {
+                announcer.assertive(result.speech);
+                haptics.obstacles(result);
+                audioCues.obstacles(result);
+            }
+            this.lastAnswerText = result.speech;
+            this.showStatus(result.speech, result.pathClear ? 'success' : 'error');
+        } catch (error) {
+            console.error('❌ [App] Path check failed:', error);
+            if (error.retryAfter) {
+                this.rateLimitedUntil = Date.now() + error.retryAfter * 1000;
+            }
+            audioCues.play(error.retryAfter ? 'rate_limited' : 'error');
+            this.ttsQueue.enqueue(error.speech || 'I could not check the path. Please try again.');
+            this.showStatus(`Error: ${error.message}`, 'error');
+        } finally {
+            audioCues.stopWaiting();
+            this.releaseCaptureButtons();
+        }
+    }
+
+    /**
+     * Say the last answer again
+     */
+    repeatLastAnswer() {
+        this.ttsQueue.stop();
+        this.ttsQueue.enqueue(this.lastAnswerText || 'There is nothing to repeat yet.');
+    }
+
+    /**
+     * Silence speech, cancel the request in flight and end object search and walk mode
+     */
+    stopAll() {
+        this.ttsQueue.stop();
+        haptics.stop();
+        audioCues.stopWaiting();
+        this.sentenceBuffer.reset();
+        if (this.currentStreamAbort) {
+            this.currentStreamAbort.abort(); // onDone is not called after abort
+            this.currentStreamAbort = null;
+            this.releaseCaptureButtons();
+            this.captureBtn.textContent = 'Capture & Analyze';
+        }
+        this.stopSearch();
+        this.stopWalk();
+        this.showStatus('Stopped', 'info');
+    }
+
+    /**
+     * Speak faster (positive delta) or slower (negative delta)
+     * @param {number} delta - Change in speech rate
+     */
+    changeSpeechRate(delta) {
+        const { minRate, maxRate } = config.voice;
+        const { rate } = speechSettings.update({ rate: speechSettings.get().rate + delta });
+        this.ttsQueue.stop();
+        if (rate === minRate || rate === maxRate) {
+            this.ttsQueue.enqueue(delta < 0 ? 'This is the slowest speed.' : 'This is the fastest speed.');
+        } else {
+            this.ttsQueue.enqueue(delta < 0 ? 'Slower.' : 'Faster.');
+        }
+    }
+
+    /**
+     * Switch the torch (flashlight) and say what happened
+     * @param {boolean} on - Desired state (default: toggle)
+     */
+    async toggleTorch(on = !camera.torchOn) {
+        if (!camera.capabilities?.torch) {
+            this.ttsQueue.enqueue('This camera has no light.');
+            return;
+        }
+        if (await camera.setTorch(on)) {
+            this.ttsQueue.enqueue(on ? 'Light on.' : 'Light off.');
+        } else {
+            this.ttsQueue.enqueue('Could not switch the light.');
+        }
+        this.updateCameraControls();
+    }
+
+    /**
+     * Zoom in (positive steps) or out (negative steps) and say the new level
+     * @param {number} steps
+     */
+    async zoom(steps) {
+        const zoom = camera.capabilities?.zoom;
+        if (!zoom) {
+            this.ttsQueue.enqueue('This camera cannot zoom.');
+            return;
+        }
+        const level = await camera.zoomBy(steps);
+        this.answerCache.clear(); // Zooming changes what the answers describe
+        if (level <= zoom.min) {
+            this.ttsQueue.enqueue('Zoomed all the way out.');
+        } else if (level >= zoom.max) {
+            this.ttsQueue.enqueue('Maximum zoom.');
+        } else {
+            this.ttsQueue.enqueue(`Zoom ${level.toFixed(1)} times.`);
+        }
+        this.updateCameraControls();
+    }
+
+    /**
+     * Show the torch/zoom buttons the active camera supports
+     */
+    updateCameraControls() {
+        if (!this.torchBtn) {
+            return;
+        }
+        const caps = camera.isActive ? camera.capabilities : null;
+        this.torchBtn.hidden = !caps?.torch;
+        this.torchBtn.setAttribute('aria-pressed', String(camera.torchOn));
+        this.zoomInBtn.hidden = !caps?.zoom;
+        this.zoomOutBtn.hidden = !caps?.zoom;
+    }
+
+    /**
+     * Touch gestures on the camera preview: pinch to zoom, two-finger tap
+     * to toggle the torch
+     */
+    setupPreviewGestures() {
+        const pointers = new Map(); // pointerId -> { x, y }
+        let pinch = null; // { startDistance, startTime, zoomed }
+
+        const distance = () => {
+            const [a, b] = [...pointers.values()];
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+
+        this.video.addEventListener('pointerdown', (event) => {
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            if (pointers.size === 2) {
+                pinch = { startDistance: distance(), startTime: Date.now(), zoomed: false };
+            }
+        });
+
+        this.video.addEventListener('pointermove', (event) => {
+            if (!pointers.has(event.pointerId)) {
+                return;
+            }
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            if (pinch && pointers.size === 2) {
+                // One zoom step per 40% change in finger distance
+                const ratio = distance() / pinch.startDistance;
+                if (ratio > 1.4 || ratio < 0.7) {
+                    this.zoom(ratio > 1 ? 1 : -1);
+                    pinch.startDistance = distance();
+                    pinch.zoomed = true;
+                }
+            }
+        });
+
+        const release = (event) => {
+            pointers.delete(event.pointerId);
+            if (pinch && pointers.size < 2) {
+                // Quick two-finger touch without pinching = tap
+                if (!pinch.zoomed && Date.now() - pinch.startTime < 400 && event.type === 'pointerup') {
+                    this.toggleTorch();
+                }
+                pinch = null;
+            }
+        };
+        this.video.addEventListener('pointerup', release);
+        this.video.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * Clear the processing flag and re-enable the capture buttons
+     */
+    releaseCaptureButtons() {
+        this.isProcessing = false;
+        this.captureBtn.disabled = false;
+        this.readTextBtn.disabled = false;
+    }
+
+    /**
+     * Last answer for `key` if it was given for a frame that looks the same as
+     * `signature` and is not older than config.camera.changeDetection.maxStaleness
+     * @param {string} key - Query kind, e.g. 'describe' or 'check_obstacles'
+     * @param {Uint8Array} signature - From camera.lastSignature
+     * @returns {Object|null}
+     */
+    getCachedAnswer(key, signature) {
+        const { enabled, threshold, maxStaleness } = config.camera.changeDetection;
+        const entry = this.answerCache.get(key);
+        if (!enabled || !entry || !signature) {
+            return null;
+        }
+
+        const age = Date.now() - entry.time;
+        const difference = camera.compareSignatures(entry.signature, signature);
+        console.log('🖼️ [App] Frame change:', { key, difference: difference.toFixed(3), age });
+        if (age > maxStaleness || difference > threshold) {
+            return null;
+        }
+        return entry.answer;
+    }
+
+    /**
+     * Remember an answer with the signature of the frame it describes
+     * @param {string} key - Query kind
+     * @param {Uint8Array} signature - From camera.lastSignature
+     * @param {Object} answer - Result to reuse while the frame does not change
+     */
+    rememberAnswer(key, signature, answer) {
+        if (signature) {
+            this.answerCache.set(key, { signature, time: Date.now(), answer });
+        }
+    }
+
+    /**
+     * Ask a follow-up question about the last captured scene (no new capture)
+     * @param {string} question
+     */
+    async askQuestion(question) {
+        const trimmed = (question || '').trim();
+        console.log('❓ [App] Follow-up question:', trimmed);
+
+        if (!trimmed) {
+            return;
+        }
+
+        if (this.isProcessing) {
+            console.log('⏸️ Already processing, ignoring question');
+            return;
+        }
+
+        if (!api.hasScene()) {
+            this.showStatus('Capture a picture first, then ask about it', 'error');
+            this.ttsQueue.enqueue('Please capture a picture first, then ask your question.');
+            return;
+        }
+
+        // Questions use the same request budget as captures
+        if (this.isThrottled()) {
+            return;
+        }
+
+        this.ttsQueue.stop();
+        this.sentenceBuffer.reset();
+        this.hazardTexts = [];
+        announcer.clear();
+
+        this.isProcessing = true;
+        this.captureBtn.disabled = true;
+        this.readTextBtn.disabled = true;
+        this.lastCaptureTime = Date.now();
+        this.outputEl.innerHTML = '';
+        this.showStatus(`Asking: ${trimmed}`, 'info');
+
+        audioCues.startWaiting();
+        this.currentStreamAbort = await api.askStream(trimmed, this.createStreamCallbacks());
+    }
+
+    /**
+     * Start searching for an object: capture, ask find_object, speak the hint,
+     * repeat within the request budget until the object is centered and close
+     * @param {string} target - What to look for, e.g. "keys"
+     */
+    startSearch(target) {
+        const trimmed = (target || '').trim();
+        if (!trimmed) {
+            return;
+        }
+
+        if (!camera.isActive) {
+            this.showStatus('Please start camera first', 'error');
+            this.ttsQueue.enqueue('Please start the camera first.');
+            return;
+        }
+
+        this.stopSearch();
+        this.stopWalk();
+        console.log('🔍 [App] Starting search for:', trimmed);
+
+        this.search = {
+            target: trimmed,
+            startedAt: Date.now(),
+            lastScore: null,
+            timer: null
+        };
+        this.searchForm.classList.add('searching');
+        this.stopSearchBtn.disabled = false;
+
+        this.ttsQueue.stop();
+        this.ttsQueue.enqueue(`Looking for ${trimmed}. Move the camera slowly around you.`);
+        this.showStatus(`Searching for ${trimmed}...`, 'info');
+        this.scheduleSearchStep();
+    }
+
+    /**
+     * End the object search (no-op if none is running)
+     * @param {string} message - Optional message to speak
+     */
+    stopSearch(message) {
+        if (!this.search) {
+            return;
+        }
+
+        console.log('🔍 [App] Search ended:', message || '(silent)');
+        clearTimeout(this.search.timer);
+        this.search = null;
+        this.searchForm.classList.remove('searching');
+        this.stopSearchBtn.disabled = true;
+
+        if (message) {
+            this.ttsQueue.enqueue(message);
+            this.showStatus(message, 'info');
+        }
+    }
+
+    /**
+     * Queue the next search capture as soon as the request budget allows
+     * @param {number} delay - Minimum delay in ms
+     */
+    scheduleSearchStep(delay = 0) {
+        if (!this.search) {
+            return;
+        }
+        clearTimeout(this.search.timer);
+        const wait = this.isProcessing ? this.busyRetryDelay : Math.max(delay, this.getThrottleWait());
+        this.search.timer = setTimeout(() => this.searchStep(), wait);
+    }
+
+    /**
+     * One search iteration: capture, query find_object, speak a hint
+     */
+    async searchStep() {
+        const search = this.search;
+        if (!search) {
+            return;
+        }
+
+        if (Date.now() - search.startedAt > config.search.maxDuration) {
+            this.stopSearch(`I could not find ${search.target}. Search stopped.`);
+            return;
+        }
+
+        // A manual capture or question is in flight - try again once it is done
+        if (this.isProcessing || this.getThrottleWait() > 0) {
+            this.scheduleSearchStep();
+            return;
+        }
+
+        const cacheKey = `find_object:${search.target}`;
+        let result;
+        let reused = false;
+        try {
+            const imageBlob = await camera.capture('image/jpeg', 0.75);
+            const signature = camera.lastSignature;
+            result = this.getCachedAnswer(cacheKey, signature);
+            reused = !!result;
+            if (!reused) {
+                this.lastCaptureTime = Date.now();
+                result = await api.analyzeVision(imageBlob, { query: 'find_object', target: search.target });
+                this.rememberAnswer(cacheKey, signature, result);
+            }
+        } catch (error) {
+            if (this.search !== search) {
+                return;
+            }
+            console.error('❌ [App] Search request failed:', error);
+            if (error.code === 'image_quality') {
+                // Nothing was sent; say how to fix the frame and try again shortly
+                this.ttsQueue.stop();
+                this.ttsQueue.enqueue(error.speech);
+                this.scheduleSearchStep(config.camera.qualityChecks.retryDelay);
+                return;
+            }
+            if (error.retryAfter) {
+                // Over budget: wait it out and keep searching
+                this.rateLimitedUntil = Date.now() + error.retryAfter * 1000;
+                this.scheduleSearchStep();
+                return;
+            }
+            this.stopSearch(error.speech || 'Search stopped because of an error.');
+            return;
+        }
+
+        // Stopped (or restarted) while the request was in flight
+        if (this.search !== search) {
+            return;
+        }
+
+        const score = this.scoreSearchResult(result);
+        console.log('🔍 [App] Search result:', { ...result, score, lastScore: search.lastScore, reused });
+
+        if (result.found && result.centered && result.distance === 'immediate') {
+            this.ttsQueue.stop();
+            this.stopSearch(`Found ${search.target}. ${result.guidance}`);
+            return;
+        }
+
+        // Warmer/colder relative to the previous frame, then the model's hint
+        let hint = result.speech;
+        if (search.lastScore !== null && score > search.lastScore) {
+            hint = `Warmer. ${hint}`;
+        } else if (search.lastScore !== null && score < search.lastScore) {
+            hint = `Colder. ${hint}`;
+        }
+        search.lastScore = score;
+
+        // Drop a stale hint that is still speaking
+        this.ttsQueue.stop();
+        this.ttsQueue.enqueue(hint);
+        this.lastAnswerText = hint;
+        this.showStatus(`Searching for ${search.target}: ${hint}`, 'info');
+
+        // A reused answer cost no request, so the budget alone would not space the loop out
+        this.scheduleSearchStep(reused ? this.minCaptureInterval : 0);
+    }
+
+    /**
+     * Start walk mode: capture automatically and warn about obstacles
+     */
+    startWalk() {
+        if (this.walk) {
+            return;
+        }
+
+        if (!camera.isActive) {
+            this.showStatus('Please start camera first', 'error');
+            this.ttsQueue.enqueue('Please start the camera first.');
+            return;
+        }
+
+        this.stopSearch();
+        console.log('🚶 [App] Walk mode started');
+
+        this.walk = {
+            interval: config.walk.minInterval,
+            captures: 0,
+            clearStreak: 0,
+            errors: 0,
+            lastSpeech: null,
+            timer: null
+        };
+        this.walkBtn.textContent = '⏹️ Stop Walk Mode';
+        this.walkBtn.setAttribute('aria-pressed', 'true');
+
+        this.ttsQueue.stop();
+        this.ttsQueue.enqueue('Walk mode on. I will check the path ahead every few seconds and warn you about obstacles.');
+        this.showStatus('Walk mode on', 'success');
+        this.scheduleWalkStep(0);
+    }
+
+    /**
+     * Stop walk mode (no-op if it is not running)
+     * @param {string} message - Spoken announcement (default "Walk mode off.")
+     */
+    stopWalk(message = 'Walk mode off.') {
+        if (!this.walk) {
+            return;
+        }
+
+        console.log('🚶 [App] Walk mode stopped');
+        clearTimeout(this.walk.timer);
+        this.walk = null;
+        this.walkBtn.textContent = '🚶 Start Walk Mode';
+        this.walkBtn.setAttribute('aria-pressed', 'false');
+
+        this.ttsQueue.enqueue(message);
+        this.showStatus(message, 'info');
+    }
+
+    /**
+     * Queue the next walk capture after `delay`, or later if the budget requires
+     * @param {number} delay - Desired delay in ms
+     */
+    scheduleWalkStep(delay) {
+        if (!this.walk) {
+            return;
+        }
+        clearTimeout(this.walk.timer);
+        const wait = this.isProcessing ? this.busyRetryDelay : Math.max(delay, this.getThrottleWait());
+        this.walk.timer = setTimeout(() => this.walkStep(), wait);
+    }
+
+    /**
+     * One walk iteration: check_obstacles (or, every few captures, a full
+     * streamed description), then adapt the interval to what was found
+     */
+    async walkStep() {
+        const walk = this.walk;
+        if (!walk) {
+            return;
+        }
+
+        // A description or manual capture is still streaming
+        if (this.isProcessing || this.getThrottleWait() > 0) {
+            this.scheduleWalkStep(0);
+            return;
+        }
+
+        walk.captures++;
+
+        if (walk.captures % config.walk.describeEvery === 0) {
+            console.log('🚶 [App] Walk mode: full description');
+            await this.captureAndAnalyze();
+            this.scheduleWalkStep(walk.interval);
+            return;
+        }
+
+        let result;
+        try {
+            const imageBlob = await camera.capture('image/jpeg', 0.75);
+            const signature = camera.lastSignature;
+            result = this.getCachedAnswer('check_obstacles', signature);
+            if (!result) {
+                this.lastCaptureTime = Date.now();
+                result = await api.analyzeVision(imageBlob, { query: 'check_obstacles' });
+                this.rememberAnswer('check_obstacles', signature, result);
+            }
+            walk.errors = 0;
+        } catch (error) {
+            if (this.walk !== walk) {
+                return;
+            }
+            console.error('❌ [App] Walk mode request failed:', error);
+            if (error.code === 'image_quality') {
+                // Nothing was sent; repeat the guidance only when the problem changes
+                if (error.speech !== walk.lastSpeech) {
+                    this.ttsQueue.enqueue(error.speech);
+                    walk.lastSpeech = error.speech;
+                }
+                this.scheduleWalkStep(config.camera.qualityChecks.retryDelay);
+                return;
+            }
+            if (error.retryAfter) {
+                this.rateLimitedUntil = Date.now() + error.retryAfter * 1000;
+            } else if (++walk.errors >= config.walk.maxConsecutiveErrors) {
+                this.stopWalk('Walk mode stopped because the connection is not working.');
+                return;
+            }
+            this.scheduleWalkStep(walk.interval);
+            return;
+        }
+
+        // Stopped while the request was in flight
+        if (this.walk !== walk) {
+            return;
+        }
+
+        this.handleWalkResult(walk, result);
+        this.scheduleWalkStep(walk.interval);
+    }
+
+    /**
+     * Speak a check_obstacles result and adapt the capture interval:
+     * back to the minimum when something is in the way, slower while clear
+     * @param {Object} walk - Walk mode state
+     * @param {Object} result - check_obstacles response
+     */
+    handleWalkResult(walk, result) {
+        console.log('🚶 [App] Walk result:', { pathClear: result.pathClear, obstacles: result.obstacles.length });
+
+        if (result.pathClear) {
+            // Say "path is clear" once when it becomes clear, not every frame
+            if (walk.clearStreak === 0) {
+                this.ttsQueue.enqueue(result.speech, { priority: 'low', ttl: walk.interval });
+            }
+            walk.clearStreak++;
+            walk.lastSpeech = result.speech;
+            this.lastAnswerText = result.speech;
+            walk.interval = Math.min(walk.interval * config.walk.backoffFactor, config.walk.maxInterval);
+            this.showStatus(`Walk mode: ${result.speech}`, 'success');
+            return;
+        }
+
+        const urgent = result.obstacles.some((obstacle) => obstacle.urgent || obstacle.distance === 'immediate');
+        walk.clearStreak = 0;
+        walk.interval = config.walk.minInterval;
+
+        // Urgent warnings interrupt; a repeat of the same message is skipped
+        // (the dedupe key also suppresses it within config.speech.dedupeWindow)
+        if (urgent) {
+            this.ttsQueue.enqueue(result.speech, { priority: 'urgent', key: `obstacle:${result.speech}` });
+            announcer.assertive(result.speech);
+            haptics.obstacles(result);
+            audioCues.obstacles(result);
+        } else if (result.speech !== walk.lastSpeech) {
+            this.ttsQueue.enqueue(result.speech, { key: `obstacle:${result.speech}`, ttl: walk.interval });
+            announcer.polite(result.speech);
+            haptics.obstacles(result);
+            audioCues.obstacles(result);
+        }
+        walk.lastSpeech = result.speech;
+        this.lastAnswerText = result.speech;
+        this.showStatus(`Walk mode: ${result.speech}`, urgent ? 'error' : 'info');
+    }
+
+    /**
+     * How close a find_object result is to "centered and within reach"
+     * @param {Object} result - find_object response
+     * @returns {number} 0 (not found) to 3.5 (centered, immediate)
+     */
+    scoreSearchResult(result) {
+        if (!result.found) {
+            return 0;
+        }
+        const distanceScore = { far: 1, close: 2, immediate: 3 }[result.distance] || 1;
+        return distanceScore + (result.centered ? 0.5 : 0);
+    }
+
+    /**
+     * Milliseconds until the next request fits the budget (minimum interval
+     * and any server-imposed Retry-After); 0 if one can be sent now
+     * @returns {number}
+     */
+    getThrottleWait() {
+        const now = Date.now();
+        const timeSinceLastCapture = now - this.lastCaptureTime;
+        return Math.max(this.minCaptureInterval - timeSinceLastCapture, this.rateLimitedUntil - now, 0);
+    }
+
+    /**
+     * Check the client-side request budget; tells the user how long to wait.
+     * @returns {boolean} true if a request must not be sent yet
+     */
+    isThrottled() {
+        const waitMs = this.getThrottleWait();
+        if (waitMs > 0) {
+            const waitTime = Math.ceil(waitMs / 1000);
+            audioCues.play('rate_limited');
+            this.showStatus(`Please wait ${waitTime} second${waitTime > 1 ? 's' : ''} before capturing again`, 'error');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Build the SSE callbacks that drive speech and the results panel.
+     * Shared by captures and follow-up questions; each call gets fresh state.
+     * @returns {Object} Callbacks for api.analyzeImageStream / api.askStream
+     */
+    createStreamCallbacks() {
+        let accumulatedText = '';
+        let firstChunkReceived = false;
+
+        return {
+            onStart: (data) => {
+                console.log('✅ Stream started:', data);
+                this.showStatus(`Analyzing... (${data.model})`, 'info');
+                // Update button to show it's processing
+                this.captureBtn.textContent = 'Analyzing...';
+                haptics.analyzing();
+            },
+            
+            onChunk: (data) => {
+                // Track first chunk for latency measurement
+                if (!firstChunkReceived) {
+                    firstChunkReceived = true;
+                    audioCues.stopWaiting();
+                    const latency = data.latency || 0;
+                    console.log(`📡 [App] First chunk received in ${latency}ms`);
+                    this.showStatus(`Streaming... (first words in ${latency}ms)`, 'info');
+                }
+                
+                // Add chunk to sentence buffer (will extract complete sentences)
+                const chunkText = data.text || '';
+                if (chunkText) {
+                    accumulatedText += chunkText;
+                    
+                    // Send to sentence buffer (will queue complete sentences for TTS)
+                    this.sentenceBuffer.addChunk(chunkText);
+                    
+                    // Update UI progressively
+                    this.outputEl.innerHTML = `<div class="result-text streaming">${this.escapeHtml(accumulatedText)}</div>`;
+                }
+            },
+            
+            onHazard: (data) => {
+                console.log('⚠️ [App] Hazard detected:', data);
+                
+                // Urgent: cuts off the current sentence; the same hazard type is
+                // not announced again within the dedupe window
+                this.sentenceBuffer.reset();
+                if (data.text) {
+                    this.hazardTexts.push(this.normalizeSpeech(data.text));
+                }
+                const warning = `Warning: ${data.text || 'Hazard detected'}`;
+                this.ttsQueue.enqueue(warning, { priority: 'urgent', key: `hazard:${data.type || warning}` });
+                haptics.streamHazard(data);
+                audioCues.streamHazard(data);
+                announcer.assertive(warning);
+                
+                // Update UI with hazard warning
+                this.outputEl.innerHTML = `
+                    <div class="hazard-warning ${data.severity}">
+                        ⚠️ ${this.escapeHtml(warning)}
+                    </div>
+                    <div class="result-text streaming">${this.escapeHtml(accumulatedText)}</div>
+                `;
+                
+                this.showStatus(`⚠️ Hazard detected: ${data.type}`, 'error');
+            },
+            
+            onComplete: (data) => {
+                console.log('✅ [App] Stream complete:', data);
+                
+                // Flush any remaining buffer (incomplete sentence at end)
+                this.sentenceBuffer.flush();
+                // Don't cut a hazard pattern short
+                if (!data.data?.hazards?.length) {
+                    haptics.done();
+                }
+                audioCues.play('complete');
+                
+                // Display final parsed result
+                if (data.data) {
+                    this.displayResult(data.data);
+                }
+                if (data.data?.text) {
+                    this.lastAnswerText = data.data.text;
+                }
+                
+                const latency = data.latency || {};
+                this.showStatus(
+                    latency.firstChunk !== null && latency.firstChunk !== undefined
+                        ? `Complete (${latency.total}ms total, ${latency.firstChunk}ms to first chunk)`
+                        : `Complete (${latency.total}ms total)`,
+                    'success'
+                );
+            },
+            
+            onDone: (data) => {
+                console.log('🏁 [App] Stream done:', data);
+                
+                // Ensure any remaining buffer is flushed (nothing left after an error)
+                if (data.status !== 'error') {
+                    this.sentenceBuffer.flush();
+                }
+                
+                this.currentStreamAbort = null;
+                audioCues.stopWaiting();
+                this.releaseCaptureButtons();
+                this.captureBtn.textContent = 'Capture & Analyze';
+                
+                // A scene now exists to ask follow-up questions about
+                if (this.askForm && api.hasScene()) {
+                    this.askForm.style.display = 'flex';
+                }
+            },
+            
+            onError: (error) => {
+                console.error('[APP] ❌ Stream error callback triggered:', {
+                    message: error.message,
+                    name: error.name,
+                    stack: error.stack,
+                    errorObject: error
+                });
+                
+                // Stop TTS and clear buffers on error
+                this.ttsQueue.stop();
+                this.sentenceBuffer.reset();
+                
+                // Server-side rate limit: honor Retry-After and say so
+                if (error.retryAfter) {
+                    this.rateLimitedUntil = Date.now() + error.retryAfter * 1000;
+                }
+                audioCues.stopWaiting();
+                audioCues.play(error.retryAfter ? 'rate_limited' : 'error');
+                if (error.speech) {
+                    this.ttsQueue.enqueue(error.speech);
+                }
+                
+                // The button is released by onDone, which always follows
+                this.showStatus(`Error: ${error.message}`, 'error');
+            }
+        };
+    }
+
+    displayResult(result) {
+        if (!result) {
+            this.outputEl.textContent = 'No result';
+            return;
+        }
+
+        let html = '';
+        
+        if (result.text) {
+            html += `<div class="result-text">${this.escapeHtml(result.text)}</div>`;
+        }
+        
+        if (result.confidence) {
+            html += `<div class="result-confidence">Confidence: ${(result.confidence * 100).toFixed(1)}%</div>`;
+        }
+        
+        if (result.tags && result.tags.length > 0) {
+            html += `<div class="result-tags">Tags: ${result.tags.join(', ')}</div>`;
+        }
+
+        this.outputEl.innerHTML = html || 'No data available';
+    }
+
+    showStatus(message, type = 'info') {
+        // Messages carry model output and user speech: text only, never markup
+        this.statusEl.textContent = message;
+        this.statusEl.className = type;
+        
+        if (type === 'info') {
+            const spinner = document.createElement('span');
+            spinner.className = 'loading';
+            this.statusEl.prepend(spinner, ' ');
+        }
+    }
+
+    updateButtonStates(cameraActive) {
         if (this.startBtn) {
             this.startBtn.disabled = cameraActive;
         }
@@ -398,6 +1776,10 @@ class App {
             this.stopBtn.disabled = !cameraActive;
         }
         this.captureBtn.disabled = !cameraActive || this.isProcessing;
+        this.readTextBtn.disabled = !cameraActive || this.isProcessing;
+        if (this.walkBtn) {
+            this.walkBtn.disabled = !cameraActive;
+        }
         
         // Enable switch camera button when camera is active
         if (this.switchCameraBtn) {
@@ -405,6 +1787,31 @@ class App {
         }
     }
 
+    /**
+     * Check whether a sentence (or the tail of one) repeats a hazard warning
+     * that was already spoken. The hazard event arrives before the chunk that
+     * completes its sentence, so the rest of that sentence would otherwise be
+     * spoken a second time as a fragment.
+     * @param {string} sentence
+     * @returns {boolean}
+     */
+    isHazardEcho(sentence) {
+        const normalized = this.normalizeSpeech(sentence);
+        if (!normalized) {
+            return false;
+        }
+        return this.hazardTexts.some(text => text.includes(normalized));
+    }
+
+    normalizeSpeech(text) {
+        return text
+            .replace(/^\s*(warning|caution|danger|careful)\s*[:!,-]\s*/i, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9' ]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -0,0 +1,348 @@
+/**
+ * Audio cues - short synthesized sounds played with Web Audio
+ * Spatial earcons for obstacles and doors are panned left/right by clock
+ * position, and their pitch and repetition rate rise as the distance shrinks,
+ * so the user can tell where something is before the sentence about it is spoken.
+ * State earcons (camera started, capture, waiting, ...) mark app events that
+ * would otherwise only show up as status text; they can be muted.
+ * Everything is synthesized, so there are no sound files to download.
+ */
+
+import { config } from './config.js';
+
+// localStorage key of the state earcon mute setting
+const EARCONS_MUTED_KEY = 'sidekick.earconsMuted';
+
+// State earcons, played centred: notes of { frequency, start (s), duration (s), type, gain }
+const EARCONS = {
+    // Rising major arpeggio
+    camera_started: [
+        { frequency: 523, start: 0, duration: 0.1 },
+        { frequency: 659, start: 0.1, duration: 0.1 },
+        { frequency: 784, start: 0.2, duration: 0.16 }
+    ],
+    // Shutter click
+    capture: [
+        { frequency: 1800, start: 0, duration: 0.03, type: 'triangle' },
+        { frequency: 1200, start: 0.04, duration: 0.04, type: 'triangle' }
+    ],
+    // Quick rising blip: "speak now"
+    listening: [
+        { frequency: 660, start: 0, duration: 0.06 },
+        { frequency: 990, start: 0.07, duration: 0.08 }
+    ],
+    // Soft tick, repeated by startWaiting
+    waiting: [
+        { frequency: 440, start: 0, duration: 0.06, gain: 0.5 }
+    ],
+    // Two falling notes: "not yet"
+    rate_limited: [
+        { frequency: 660, start: 0, duration: 0.12, type: 'triangle' },
+        { frequency: 440, start: 0.15, duration: 0.2, type: 'triangle' }
+    ],
+    // Low double buzz
+    error: [
+        { frequency: 220, start: 0, duration: 0.18, type: 'square', gain: 0.5 },
+        { frequency: 185, start: 0.2, duration: 0.25, type: 'square', gain: 0.5 }
+    ],
+    // Rising fourth: "done"
+    complete: [
+        { frequency: 784, start: 0, duration: 0.1 },
+        { frequency: 1047, start: 0.1, duration: 0.18 }
+    ]
+};
+
+// How each distance sounds: higher and faster when closer
+const DISTANCE_SOUNDS = {
+    immediate: { frequency: 1320, repeats: 4, gap: 0.09 },
+    close: { frequency: 880, repeats: 3, gap: 0.16 },
+    far: { frequency: 587, repeats: 2, gap: 0.28 }
+};
+
+// Clock positions used by check_obstacles positions
+const POSITION_CLOCK = {
+    'directly ahead': 12,
+    'slightly left': 11,
+    'slightly right': 1,
+    'to the left': 9,
+    'to the right': 3
+};
+
+// Hazard severity from the stream -> distance sound
+const SEVERITY_DISTANCE = {
+    critical: 'immediate',
+    high: 'close',
+    medium: 'far'
+};
+
+const BEEP_LENGTH = 0.07; // seconds
+const MAX_OBSTACLE_CUES = 3;
+
+class AudioCues {
+    constructor() {
+        this.context = null;
+        this.enabled = config.audioCues.enabled;
+        this.volume = config.audioCues.volume;
+        this.earconsMuted = this.loadEarconsMuted();
+        this.waitingTimer = null;
+    }
+
+    /**
+     * Whether the browser has Web Audio
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * Create/resume the audio context - must be called from a user gesture
+     * the first time (mobile autoplay rules)
+     * @returns {Promise<void>}
+     */
+    async unlock() {
+        const context = this.getContext();
+        if (context && context.state === 'suspended') {
+            await context.resume();
+        }
+        console.log('🔈 [AudioCues] Audio context:', context ? context.state : 'unsupported');
+    }
+
+    /**
+     * @returns {AudioContext|null}
+     */
+    getContext() {
+        if (!this.context && this.isSupported()) {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            this.context = new Context();
+        }
+        return this.context;
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * Saved mute setting for state earcons (default: not muted)
+     * @returns {boolean}
+     */
+    loadEarconsMuted() {
+        try {
+            return localStorage.getItem(EARCONS_MUTED_KEY) === 'true';
+        } catch (error) {
+            return false; // Storage disabled (private mode)
+        }
+    }
+
+    /**
+     * Mute or unmute state earcons and remember the choice (spatial cues
+     * for obstacles are not affected)
+     * @param {boolean} muted
+     */
+    setEarconsMuted(muted) {
+        this.earconsMuted = muted;
+        if (muted) {
+            this.stopWaiting();
+        }
+        try {
+            localStorage.setItem(EARCONS_MUTED_KEY, String(muted));
+        } catch (error) {
+            console.warn('[AudioCues] ⚠️ Could not save earcon setting:', error);
+        }
+    }
+
+    /**
+     * Play a state earcon
+     * @param {string} name - Key of EARCONS: camera_started, capture, listening,
+     *   waiting, rate_limited, error or complete
+     */
+    play(name) {
+        const notes = EARCONS[name];
+        if (!notes) {
+            console.warn('[AudioCues] ⚠️ Unknown earcon:', name);
+            return;
+        }
+        if (this.earconsMuted) {
+            return;
+        }
+        for (const note of notes) {
+            this.tone(note);
+        }
+    }
+
+    /**
+     * Tick every config.audioCues.waitingInterval ms until stopWaiting, so a
+     * slow network is audible (the first tick comes after one interval, so
+     * fast answers stay quiet)
+     */
+    startWaiting() {
+        this.stopWaiting();
+        this.waitingTimer = setInterval(() => this.play('waiting'), config.audioCues.waitingInterval);
+    }
+
+    stopWaiting() {
+        if (this.waitingTimer) {
+            clearInterval(this.waitingTimer);
+            this.waitingTimer = null;
+        }
+    }
+
+    /**
+     * Stereo position of a clock hour: 12 = centre, 3 = right, 9 = left
+     * (6 o'clock is centred too - stereo cannot place sounds behind)
+     * @param {number} clockPosition - 1-12
+     * @returns {number} -1 (left) to 1 (right)
+     */
+    clockToPan(clockPosition) {
+        return Math.round(Math.sin(((clockPosition % 12) / 12) * 2 * Math.PI) * 100) / 100;
+    }
+
+    /**
+     * Schedule one tone through a panner
+     * @param {Object} tone - { frequency, start (s from now), duration, type, pan, gain }
+     */
+    tone({ frequency, start = 0, duration = BEEP_LENGTH, type = 'sine', pan = 0, gain = 1 }) {
+        const context = this.getContext();
+        if (!context || context.state !== 'running') {
+            return;
+        }
+
+        const at = context.currentTime + start;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, at);
+
+        // Short attack and release so beeps don't click
+        const peak = this.volume * gain;
+        envelope.gain.setValueAtTime(0.0001, at);
+        envelope.gain.exponentialRampToValueAtTime(peak, at + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+
+        oscillator.connect(envelope);
+        let output = envelope;
+        if (context.createStereoPanner) {
+            const panner = context.createStereoPanner();
+            panner.pan.setValueAtTime(pan, at);
+            envelope.connect(panner);
+            output = panner;
+        }
+        output.connect(context.destination);
+
+        oscillator.start(at);
+        oscillator.stop(at + duration + 0.02);
+    }
+
+    /**
+     * Spatial earcon for something at a clock position
+     * @param {Object} cue
+     * @param {string} cue.kind - 'obstacle' (repeated beeps) or 'door' (rising two-note chime)
+     * @param {number} cue.clockPosition - 1-12 (null = straight ahead)
+     * @param {string} cue.distance - 'immediate', 'close' or 'far'
+     * @param {number} cue.delay - Seconds from now
+     * @returns {number} Length of the cue in seconds
+     */
+    spatial({ kind = 'obstacle', clockPosition, distance = 'far', delay = 0 }) {
+        if (!this.enabled) {
+            return 0;
+        }
+
+        const sound = DISTANCE_SOUNDS[distance] || DISTANCE_SOUNDS.far;
+        const pan = this.clockToPan(clockPosition || 12);
+        console.log(`🔈 [AudioCues] ${kind} at ${clockPosition || 12} o'clock, ${distance} (pan ${pan})`);
+
+        if (kind === 'door') {
+            // Two rising notes, repeated more often when closer
+            const step = BEEP_LENGTH * 2 + sound.gap;
+            for (let i = 0; i < sound.repeats - 1; i++) {
+                const start = delay + i * step * 1.5;
+                this.tone({ frequency: sound.frequency, start, pan, duration: BEEP_LENGTH * 1.5 });
+                this.tone({ frequency: sound.frequency * 1.5, start: start + BEEP_LENGTH, pan, duration: BEEP_LENGTH * 1.5 });
+            }
+            return (sound.repeats - 1) * step * 1.5;
+        }
+
+        const step = BEEP_LENGTH + sound.gap;
+        for (let i = 0; i < sound.repeats; i++) {
+            this.tone({ frequency: sound.frequency, start: delay + i * step, type: 'triangle', pan });
+        }
+        return sound.repeats * step;
+    }
+
+    /**
+     * Cue for a hazard event from the analysis stream ({ clockPosition, severity })
+     * @param {Object} hazard
+     */
+    streamHazard(hazard) {
+        this.spatial({
+            kind: 'obstacle',
+            clockPosition: hazard.clockPosition,
+            distance: SEVERITY_DISTANCE[hazard.severity] || 'far'
+        });
+    }
+
+    /**
+     * Cues for a check_obstacles result, one after another, most pressing first
+     * @param {Object} result - { pathClear, obstacles: [{ type, position, distance, urgent }] }
+     */
+    obstacles(result) {
+        if (result.pathClear || !result.obstacles) {
+            return;
+        }
+
+        const rank = (obstacle) => (obstacle.urgent ? 0 : 3) + ({ immediate: 0, close: 1, far: 2 }[obstacle.distance] ?? 2);
+        let delay = 0;
+        for (const obstacle of [...result.obstacles].sort((a, b) => rank(a) - rank(b)).slice(0, MAX_OBSTACLE_CUES)) {
+            delay += this.spatial({
+                kind: obstacle.type === 'door' ? 'door' : 'obstacle',
+                clockPosition: POSITION_CLOCK[obstacle.position] || 12,
+                distance: obstacle.distance,
+                delay
+            }) + 0.15;
+        }
+    }
+
+    /**
+     * Cue for a door mentioned in a described sentence
+     * ("Door at 2 o'clock, about 10 feet ahead.")
+     * @param {string} sentence
+     * @returns {boolean} true if a cue was played
+     */
+    describedSentence(sentence) {
+        const clock = sentence.match(/\b(1[0-2]|[1-9])\s*o'?\s*clock\b/i);
+        if (!clock) {
+            return false;
+        }
+
+        const kind = /\b(door|doorway|exit|entrance|gate)\b/i.test(sentence) ? 'door' : null;
+        if (!kind) {
+            return false;
+        }
+
+        this.spatial({ kind, clockPosition: parseInt(clock[1], 10), distance: this.distanceFromText(sentence) });
+        return true;
+    }
+
+    /**
+     * Distance class from "2 feet" / "3 meters" / "immediately" in text
+     * @param {string} text
+     * @returns {string} 'immediate', 'close' or 'far'
+     */
+    distanceFromText(text) {
+        if (/\b(immediately|right in front|directly in front|next step)\b/i.test(text)) {
+            return 'immediate';
+        }
+        const measure = text.match(/\b(\d+(?:\.\d+)?)\s*(feet|foot|ft|meters?|metres?|m)\b/i);
+        if (!measure) {
+            return 'far';
+        }
+        const feet = parseFloat(measure[1]) * (/^f/i.test(measure[2]) ? 1 : 3.28);
+        return feet <= 3 ? 'immediate' : feet <= 10 ? 'close' : 'far';
+    }
+}
+
+export const audioCues = new AudioCues();
@@ -4,12 +4,43 @@
 
 import { config } from './config.js';
 
+// localStorage key of the camera picked with selectDevice
+const CAMERA_DEVICE_KEY = 'sidekick.cameraDeviceId';
+
+// Size of the downscaled luminance grid used as a frame signature
+const SIGNATURE_WIDTH = 16;
+const SIGNATURE_HEIGHT = 12;
+
+// Size of the grayscale copy used for quality checks
+const QUALITY_WIDTH = 160;
+const QUALITY_HEIGHT = 120;
+
+// Spoken guidance for each failed quality check, in the order they are tested
+const QUALITY_GUIDANCE = {
+    covered: 'The lens may be covered. Check that nothing is blocking the camera.',
+    dark: 'It is too dark to see. Turn on a light or point the camera at a brighter area.',
+    bright: 'Too much glare. Point the camera away from the light.',
+    blurry: 'The picture is blurry. Hold the camera steady for a moment.'
+};
+
 class CameraManager {
     constructor() {
         this.video = null;
         this.canvas = null;
         this.stream = null;
         this.isActive = false;
+        this.signatureCanvas = null;
+        this.lastSignature = null; // Signature of the last captured frame
+        this.qualityCanvas = null;
+        this.lastQuality = null; // { brightness, contrast, sharpness, issue } of the last capture
+        this.capabilities = null; // { torch, zoom: { min, max, step } | null, focusModes } of the active track
+        this.torchOn = false;
+        this.autoTorchOn = false; // The torch is on because of autoTorch, not the user
+        this.torchCheckedAt = 0; // Last time an auto torch was switched off to test the light
+        this.zoomLevel = null;
+        this.onTorchChange = null; // Callback: (on, reason) when the torch is switched automatically
+        this.onDeviceFallback = null; // Callback: (savedDeviceId) when the saved camera could not be used
+        this.onEnded = null; // Callback: () when the active camera stops delivering video
     }
 
     /**
@@ -29,6 +60,8 @@ class CameraManager {
 
     /**
      * Start camera stream
+     * Uses the saved device (selectDevice) when it is still connected,
+     * otherwise falls back to facingMode.
      * @param {string} facingMode - 'environment' (back) or 'user' (front)
      * @returns {Promise<void>}
      */
@@ -38,52 +71,46 @@ class CameraManager {
             this.stop();
         }
 
-        try {
-            // Use provided facingMode or default from config
-            const requestedFacingMode = facingMode || config.camera.facingMode;
-            
-            // Build constraints with exact facingMode for mobile
-            const constraints = {
-                video: {
-                    facingMode: requestedFacingMode === 'environment' 
-                        ? { ideal: 'environment' } // Prefer back camera
-                        : { ideal: 'user' }, // Fallback to front
-                    width: { ideal: config.camera.width },
-                    height: { ideal: config.camera.height }
+        // Use provided facingMode or default from config
+        const requestedFacingMode = facingMode || config.camera.facingMode;
+        const savedDeviceId = facingMode ? null : this.getSavedDeviceId();
+
+        if (savedDeviceId) {
+            const devices = await this.listDevices();
+            // Before permission is granted some browsers hide device ids - just try it
+            if (devices.length === 0 || devices.some((device) => device.deviceId === savedDeviceId)) {
+                try {
+                    console.log('[Camera] Requesting saved camera:', savedDeviceId);
+                    await this.openStream({ deviceId: { exact: savedDeviceId } });
+                    return;
+                } catch (error) {
+                    console.warn('[Camera] ⚠️ Saved camera failed, falling back to facingMode:', error);
                 }
-            };
+            } else {
+                console.warn('[Camera] ⚠️ Saved camera is not connected, falling back to facingMode');
+            }
+            // Keep the saved id: the camera may be plugged back in later
+            if (this.onDeviceFallback) {
+                this.onDeviceFallback(savedDeviceId);
+            }
+        }
 
+        try {
             console.log('[Camera] Requesting camera with facingMode:', requestedFacingMode);
-            
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-
-            if (this.video) {
-                this.video.srcObject = this.stream;
-                await this.video.play();
-                this.isActive = true;
-                console.log('[Camera] ✅ Camera started successfully');
-            }
+            await this.openStream({
+                facingMode: requestedFacingMode === 'environment'
+                    ? { ideal: 'environment' } // Prefer back camera
+                    : { ideal: 'user' } // Fallback to front
+            });
         } catch (error) {
             console.error('[Camera] ❌ Error starting camera:', error);
             
             // If back camera fails, try front camera as fallback
-            if (facingMode === 'environment' || config.camera.facingMode === 'environment') {
+            if (requestedFacingMode === 'environment') {
                 console.log('[Camera] ⚠️ Back camera failed, trying front camera...');
                 try {
-                    const fallbackConstraints = {
-                        video: {
-                            facingMode: { ideal: 'user' },
-                            width: { ideal: config.camera.width },
-                            height: { ideal: config.camera.height }
-                        }
-                    };
-                    this.stream = await navigator.mediaDevices.getUserMedia(fallbackConstraints);
-                    if (this.video) {
-                        this.video.srcObject = this.stream;
-                        await this.video.play();
-                        this.isActive = true;
-                        console.log('[Camera] ✅ Front camera started as fallback');
-                    }
+                    await this.openStream({ facingMode: { ideal: 'user' } });
+                    console.log('[Camera] ✅ Front camera started as fallback');
                 } catch (fallbackError) {
                     throw new Error(`Failed to start camera: ${error.message}`);
                 }
@@ -94,7 +121,102 @@ class CameraManager {
     }
 
     /**
-     * Switch between front and back camera
+     * Open a stream with the given device constraint (deviceId or facingMode)
+     * at the configured resolution and attach it to the video element
+     * @param {Object} deviceConstraint
+     * @returns {Promise<void>}
+     */
+    async openStream(deviceConstraint) {
+        const constraints = {
+            video: {
+                ...deviceConstraint,
+                width: { ideal: config.camera.width },
+                height: { ideal: config.camera.height }
+            }
+        };
+
+        this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+
+        if (this.video) {
+            this.video.srcObject = this.stream;
+            await this.video.play();
+            this.isActive = true;
+            await this.setupControls();
+
+            // Unplugged USB camera, camera taken by another app, etc.
+            const track = this.getVideoTrack();
+            track.addEventListener('ended', () => {
+                if (this.getVideoTrack() === track) {
+                    console.warn('[Camera] ⚠️ Camera track ended');
+                    this.stop();
+                    if (this.onEnded) {
+                        this.onEnded();
+                    }
+                }
+            });
+            console.log('[Camera] ✅ Camera started successfully:', this.getCurrentDeviceId());
+        }
+    }
+
+    /**
+     * List connected cameras. Labels are empty until camera permission is granted.
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) {
+            return [];
+        }
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices
+                .filter((device) => device.kind === 'videoinput' && device.deviceId)
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || `Camera ${index + 1}`
+                }));
+        } catch (error) {
+            console.warn('[Camera] ⚠️ Could not list cameras:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Device id of the active camera
+     * @returns {string|null}
+     */
+    getCurrentDeviceId() {
+        const track = this.getVideoTrack();
+        return track && typeof track.getSettings === 'function' ? track.getSettings().deviceId || null : null;
+    }
+
+    /**
+     * Device id chosen with selectDevice in an earlier session
+     * @returns {string|null}
+     */
+    getSavedDeviceId() {
+        try {
+            return localStorage.getItem(CAMERA_DEVICE_KEY);
+        } catch (error) {
+            return null; // Storage disabled (private mode)
+        }
+    }
+
+    /**
+     * Switch to a specific camera and remember it across sessions
+     * @param {string} deviceId
+     * @returns {Promise<void>}
+     */
+    async selectDevice(deviceId) {
+        try {
+            localStorage.setItem(CAMERA_DEVICE_KEY, deviceId);
+        } catch (error) {
+            console.warn('[Camera] ⚠️ Could not save camera choice:', error);
+        }
+        await this.start();
+    }
+
+    /**
+     * Switch to the next connected camera (all rear lenses, USB cameras, ...)
      * @returns {Promise<void>}
      */
     async switchCamera() {
@@ -102,19 +224,15 @@ class CameraManager {
             throw new Error('Camera not active');
         }
 
-        // Get current facing mode from active track
-        const videoTrack = this.stream.getVideoTracks()[0];
-        const currentSettings = videoTrack.getSettings();
-        const currentFacingMode = currentSettings.facingMode;
-        
-        // Determine target facing mode
-        const targetFacingMode = currentFacingMode === 'environment' ? 'user' : 'environment';
-        
-        console.log(`[Camera] Switching from ${currentFacingMode} to ${targetFacingMode}`);
-        
-        // Stop current stream and start with new facing mode
-        this.stop();
-        await this.start(targetFacingMode);
+        const devices = await this.listDevices();
+        if (devices.length < 2) {
+            throw new Error('No other camera available');
+        }
+
+        const currentIndex = devices.findIndex((device) => device.deviceId === this.getCurrentDeviceId());
+        const next = devices[(currentIndex + 1) % devices.length];
+        console.log(`[Camera] Switching to ${next.label}`);
+        await this.selectDevice(next.deviceId);
     }
 
     /**
@@ -131,15 +249,143 @@ class CameraManager {
         }
 
         this.isActive = false;
+        this.capabilities = null;
+        this.torchOn = false;
+        this.autoTorchOn = false;
+        this.zoomLevel = null;
+    }
+
+    /**
+     * Get the active video track
+     * @returns {MediaStreamTrack|null}
+     */
+    getVideoTrack() {
+        return this.stream ? this.stream.getVideoTracks()[0] || null : null;
+    }
+
+    /**
+     * Read torch/zoom/focus capabilities of the new track and apply the
+     * default focus mode. Browsers without getCapabilities() get no controls.
+     * @returns {Promise<void>}
+     */
+    async setupControls() {
+        const track = this.getVideoTrack();
+        const caps = track && typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        const settings = track && typeof track.getSettings === 'function' ? track.getSettings() : {};
+
+        this.capabilities = {
+            torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+            zoom: caps.zoom && caps.zoom.max > caps.zoom.min
+                ? { min: caps.zoom.min, max: caps.zoom.max, step: caps.zoom.step || 0.1 }
+                : null,
+            focusModes: Array.isArray(caps.focusMode) ? caps.focusMode : []
+        };
+        this.torchOn = settings.torch === true;
+        this.zoomLevel = this.capabilities.zoom ? settings.zoom ?? this.capabilities.zoom.min : null;
+        console.log('[Camera] Controls:', this.capabilities);
+
+        const { focusMode } = config.camera.controls;
+        if (this.capabilities.focusModes.includes(focusMode)) {
+            await this.applyControl({ focusMode });
+        }
+    }
+
+    /**
+     * Apply a single advanced constraint (torch, zoom, focusMode) to the track
+     * @param {Object} constraint
+     * @returns {Promise<boolean>} false if the browser refused it
+     */
+    async applyControl(constraint) {
+        const track = this.getVideoTrack();
+        if (!track) {
+            return false;
+        }
+        try {
+            await track.applyConstraints({ advanced: [constraint] });
+            return true;
+        } catch (error) {
+            console.warn('[Camera] ⚠️ Could not apply', constraint, error);
+            return false;
+        }
+    }
+
+    /**
+     * Turn the torch (flashlight) on or off
+     * @param {boolean} on
+     * @returns {Promise<boolean>} false if the camera has no torch
+     */
+    async setTorch(on) {
+        if (!this.capabilities?.torch) {
+            return false;
+        }
+        if (await this.applyControl({ torch: on })) {
+            this.torchOn = on;
+            this.autoTorchOn = false; // Callers that switch automatically set it again
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Set the zoom level, clamped to what the camera supports
+     * @param {number} level
+     * @returns {Promise<number|null>} Applied level, or null if zoom is unsupported
+     */
+    async setZoom(level) {
+        const zoom = this.capabilities?.zoom;
+        if (!zoom) {
+            return null;
+        }
+        const clamped = Math.min(zoom.max, Math.max(zoom.min, Math.round(level / zoom.step) * zoom.step));
+        if (await this.applyControl({ zoom: clamped })) {
+            this.zoomLevel = clamped;
+        }
+        return this.zoomLevel;
+    }
+
+    /**
+     * Zoom in (positive) or out (negative) by a number of steps
+     * (config.camera.controls.zoomSteps steps span the whole range)
+     * @param {number} steps
+     * @returns {Promise<number|null>} Applied level, or null if zoom is unsupported
+     */
+    async zoomBy(steps) {
+        const zoom = this.capabilities?.zoom;
+        if (!zoom) {
+            return null;
+        }
+        const stepSize = (zoom.max - zoom.min) / config.camera.controls.zoomSteps;
+        return this.setZoom(this.zoomLevel + steps * stepSize);
+    }
+
+    /**
+     * Refocus once (e.g. before reading small print), then return to the default mode
+     * @returns {Promise<boolean>} false if single-shot focus is unsupported
+     */
+    async focusOnce() {
+        const focusModes = this.capabilities?.focusModes || [];
+        if (!focusModes.includes('single-shot')) {
+            return false;
+        }
+        const applied = await this.applyControl({ focusMode: 'single-shot' });
+        const { focusMode } = config.camera.controls;
+        if (applied && focusModes.includes(focusMode) && focusMode !== 'single-shot') {
+            await this.applyControl({ focusMode });
+        }
+        return applied;
     }
 
     /**
      * Capture current frame as image
      * @param {string} format - Image format (image/jpeg, image/png)
      * @param {number} quality - Image quality (0-1) for JPEG
+     * @param {Object} options
+     * @param {boolean} options.checkQuality - Reject dark, blurry or covered frames (default true)
      * @returns {Promise<Blob>}
+     * @throws {Error} With code 'image_quality', `issue` and spoken `speech`
+     *   guidance when a quality check fails (nothing should be uploaded)
      */
-    async capture(format = 'image/jpeg', quality = 0.92) {
+    async capture(format = 'image/jpeg', quality = 0.92, { checkQuality = true } = {}) {
         if (!this.video || !this.canvas) {
             throw new Error('Camera not initialized');
         }
@@ -148,16 +394,35 @@ class CameraManager {
             throw new Error('Camera not active');
         }
 
-        const ctx = this.canvas.getContext('2d');
-        
-        // Draw current video frame to canvas
-        ctx.drawImage(
-            this.video,
-            0,
-            0,
-            this.canvas.width,
-            this.canvas.height
-        );
+        this.drawFrame();
+
+        if (checkQuality && config.camera.qualityChecks.enabled) {
+            this.lastQuality = this.assessQuality();
+
+            // Too dark: switch the torch on and look again before giving up
+            if (this.lastQuality.issue === 'dark' && this.canAutoTorch()) {
+                if (await this.setTorch(true)) {
+                    this.autoTorchOn = true;
+                    console.log('[Camera] 🔦 Auto torch on');
+                    if (this.onTorchChange) {
+                        this.onTorchChange(true, 'dark');
+                    }
+                    // Still dark and featureless with the light on is reported as covered
+                    await this.settleAndAssess();
+                }
+            } else if (this.autoTorchOn && this.lastQuality.brightness >= config.camera.controls.torchOffBrightness) {
+                await this.checkAutoTorchOff();
+            }
+
+            if (this.lastQuality.issue) {
+                console.warn('[Camera] ⚠️ Frame rejected:', this.lastQuality);
+                const error = new Error(`Image quality check failed: ${this.lastQuality.issue}`);
+                error.code = 'image_quality';
+                error.issue = this.lastQuality.issue;
+                error.speech = QUALITY_GUIDANCE[this.lastQuality.issue];
+                throw error;
+            }
+        }
 
         // Convert canvas to blob
         return new Promise((resolve, reject) => {
@@ -175,6 +440,186 @@ class CameraManager {
         });
     }
 
+    /**
+     * Whether a dark frame can still be retried with the torch switched on automatically
+     * @returns {boolean}
+     */
+    canAutoTorch() {
+        return config.camera.controls.autoTorch && !!this.capabilities?.torch && !this.torchOn;
+    }
+
+    /**
+     * Wait for exposure to adjust after a torch change, then redraw and re-check the frame
+     * @returns {Promise<void>}
+     */
+    async settleAndAssess() {
+        await new Promise((resolve) => setTimeout(resolve, config.camera.controls.torchSettleDelay));
+        this.drawFrame();
+        this.lastQuality = this.assessQuality();
+    }
+
+    /**
+     * Bright frames under an auto torch may just be lit by the torch itself, so
+     * switch it off and look: keep it off if the scene is no longer dark,
+     * otherwise switch it back on and wait torchRecheckInterval before trying again
+     * @returns {Promise<void>}
+     */
+    async checkAutoTorchOff() {
+        const { torchRecheckInterval } = config.camera.controls;
+        if (Date.now() - this.torchCheckedAt < torchRecheckInterval) {
+            return;
+        }
+        this.torchCheckedAt = Date.now();
+
+        if (!(await this.setTorch(false))) {
+            return;
+        }
+        await this.settleAndAssess();
+
+        if (this.lastQuality.issue === 'dark') {
+            // Still dark without it - back on, and use a frame taken with the light
+            await this.setTorch(true);
+            this.autoTorchOn = true;
+            await this.settleAndAssess();
+            return;
+        }
+
+        console.log('[Camera] 🔦 Auto torch off');
+        if (this.onTorchChange) {
+            this.onTorchChange(false, 'bright');
+        }
+    }
+
+    /**
+     * Draw the current video frame to the canvas and update its signature
+     */
+    drawFrame() {
+        const ctx = this.canvas.getContext('2d');
+        
+        // Draw current video frame to canvas
+        ctx.drawImage(
+            this.video,
+            0,
+            0,
+            this.canvas.width,
+            this.canvas.height
+        );
+
+        this.lastSignature = this.computeSignature();
+    }
+
+    /**
+     * Cheap perceptual signature of the frame on the canvas: a 16x12 luminance
+     * grid divided by its mean, so a change in exposure alone does not count
+     * as a different scene
+     * @returns {Uint8Array}
+     */
+    computeSignature() {
+        if (!this.signatureCanvas) {
+            this.signatureCanvas = document.createElement('canvas');
+            this.signatureCanvas.width = SIGNATURE_WIDTH;
+            this.signatureCanvas.height = SIGNATURE_HEIGHT;
+        }
+
+        const ctx = this.signatureCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.canvas, 0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+        const { data } = ctx.getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+
+        const luminance = new Float32Array(SIGNATURE_WIDTH * SIGNATURE_HEIGHT);
+        let sum = 0;
+        for (let i = 0; i < luminance.length; i++) {
+            const offset = i * 4;
+            luminance[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+            sum += luminance[i];
+        }
+
+        // Scale so the mean maps to 128
+        const mean = sum / luminance.length || 1;
+        return Uint8Array.from(luminance, (value) => Math.min(255, Math.round((value / mean) * 128)));
+    }
+
+    /**
+     * Measure the frame on the canvas: mean brightness, contrast (standard
+     * deviation) and sharpness (variance of the Laplacian)
+     * @returns {{brightness: number, contrast: number, sharpness: number, issue: string|null}}
+     *   issue is 'covered', 'dark', 'bright', 'blurry' or null
+     */
+    assessQuality() {
+        if (!this.qualityCanvas) {
+            this.qualityCanvas = document.createElement('canvas');
+            this.qualityCanvas.width = QUALITY_WIDTH;
+            this.qualityCanvas.height = QUALITY_HEIGHT;
+        }
+
+        const ctx = this.qualityCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.canvas, 0, 0, QUALITY_WIDTH, QUALITY_HEIGHT);
+        const { data } = ctx.getImageData(0, 0, QUALITY_WIDTH, QUALITY_HEIGHT);
+
+        const gray = new Float32Array(QUALITY_WIDTH * QUALITY_HEIGHT);
+        let sum = 0;
+        for (let i = 0; i < gray.length; i++) {
+            const offset = i * 4;
+            gray[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+            sum += gray[i];
+        }
+        const brightness = sum / gray.length;
+
+        let squares = 0;
+        for (let i = 0; i < gray.length; i++) {
+            squares += (gray[i] - brightness) ** 2;
+        }
+        const contrast = Math.sqrt(squares / gray.length);
+
+        // 4-neighbour Laplacian over the interior pixels
+        let lapSum = 0;
+        let lapSquares = 0;
+        let count = 0;
+        for (let y = 1; y < QUALITY_HEIGHT - 1; y++) {
+            for (let x = 1; x < QUALITY_WIDTH - 1; x++) {
+                const i = y * QUALITY_WIDTH + x;
+                const lap = gray[i - 1] + gray[i + 1] + gray[i - QUALITY_WIDTH] + gray[i + QUALITY_WIDTH] - 4 * gray[i];
+                lapSum += lap;
+                lapSquares += lap * lap;
+                count++;
+            }
+        }
+        const sharpness = lapSquares / count - (lapSum / count) ** 2;
+
+        const { minContrast, minBrightness, maxBrightness, minSharpness } = config.camera.qualityChecks;
+        let issue = null;
+        if (brightness < minBrightness) {
+            // A covered lens is dark too. While the auto torch can still be tried,
+            // call it dark so capture() switches the light on and looks again;
+            // without a torch (or with it on) dark and featureless means covered
+            issue = contrast < minContrast && !this.canAutoTorch() ? 'covered' : 'dark';
+        } else if (contrast < minContrast) {
+            issue = 'covered';
+        } else if (brightness > maxBrightness) {
+            issue = 'bright';
+        } else if (sharpness < minSharpness) {
+            issue = 'blurry';
+        }
+
+        return { brightness, contrast, sharpness, issue };
+    }
+
+    /**
+     * Difference between two frame signatures
+     * @param {Uint8Array} a
+     * @param {Uint8Array} b
+     * @returns {number} 0 (identical) to 1 (completely different)
+     */
+    compareSignatures(a, b) {
+        if (!a || !b || a.length !== b.length) {
+            return 1;
+        }
+        let total = 0;
+        for (let i = 0; i < a.length; i++) {
+            total += Math.abs(a[i] - b[i]);
+        }
+        return total / (a.length * 255);
+    }
+
     /**
      * Check if camera is available
      * @returns {Promise<boolean>}
@@ -8,10 +8,24 @@ export const config = {
     api: {
         // Use relative path for local dev, or set via window.SIDEKICK_CONFIG
         baseUrl: (typeof window !== 'undefined' && window.SIDEKICK_CONFIG?.apiBaseUrl) || '/api/v1',
+        // Only honored by the fixture provider (VISION_PROVIDER=fixture):
+        // 'hazard' | 'rate_limit' | 'malformed_json'
+        fixtureScenario: (typeof window !== 'undefined' && window.SIDEKICK_CONFIG?.fixtureScenario) || null,
         endpoints: {
             analyzeStream: '/analyze/stream',
+            ask: '/analyze/ask',
+            vision: '/analyze/vision',
+            authToken: '/auth/token',
             health: '/health'
-        }
+        },
+        // Refresh device tokens this long before they expire
+        tokenRefreshMargin: 5 * 60 * 1000
+    },
+    
+    // Installable app: set window.SIDEKICK_CONFIG = { serviceWorker: false } to
+    // skip the offline cache (e.g. while editing the shell locally)
+    pwa: {
+        serviceWorker: (typeof window !== 'undefined' && window.SIDEKICK_CONFIG?.serviceWorker) ?? true
     },
     
     // App settings
@@ -23,8 +37,9 @@ export const config = {
     },
     
     // Camera settings
-    // Note: Video is ONLY for preview. Images are captured manually via button click.
-    // Each capture = 1 API call. No continuous/automatic capture.
+    // Note: Video is ONLY for preview. Images are captured manually via button click,
+    // except in walk mode and object search (see below), which capture automatically.
+    // Each capture = 1 API call.
     camera: {
         // 'environment' = back camera (required for navigation on mobile)
         // 'user' = front camera (fallback for desktop/laptop)
@@ -37,15 +52,97 @@ export const config = {
                 width: { ideal: 640 },
                 height: { ideal: 480 }
             }
+        },
+        // Skip the API when the frame looks like the one the last answer was for.
+        // threshold: 0-1 mean luminance difference (exposure-normalized) that
+        // counts as a new scene; maxStaleness: always ask again after this long
+        changeDetection: {
+            enabled: true,
+            threshold: 0.06,
+            maxStaleness: 30 * 1000
+        },
+        // Local checks run on every capture before anything is uploaded.
+        // brightness: 0-255 mean luminance; contrast: luminance standard
+        // deviation (a covered lens is nearly uniform); sharpness: variance of
+        // the Laplacian on a 160x120 grayscale copy (motion blur scores low)
+        qualityChecks: {
+            enabled: true,
+            minContrast: 6,
+            minBrightness: 30,
+            maxBrightness: 235,
+            minSharpness: 25,
+            retryDelay: 1500 // Auto-capture retry after a rejected frame
+        },
+        // Torch, zoom and focus (only where the track's getCapabilities() offers them)
+        controls: {
+            autoTorch: true, // Turn the torch on when a frame is too dark
+            torchSettleDelay: 400, // Let exposure adjust before re-checking a frame
+            torchOffBrightness: 90, // Test switching an auto torch off above this frame brightness
+            torchRecheckInterval: 30 * 1000, // Wait between such tests while it stays dark
+            zoomSteps: 5, // Zoom in/out steps between minimum and maximum zoom
+            focusMode: 'continuous' // Default focus mode when supported
         }
     },
     
-    // Speech settings
+    // Object search ("find my keys"): keeps capturing until the object is
+    // centered and within reach, or gives up after maxDuration
+    search: {
+        maxDuration: 2 * 60 * 1000
+    },
+    
+    // Walk mode: automatic check_obstacles captures for hands-free walking.
+    // The interval starts at minInterval, grows while the path stays clear and
+    // snaps back when an obstacle shows up. It never goes below the app's
+    // 4-second capture spacing, so walk mode stays within 15 requests/minute.
+    walk: {
+        minInterval: 4000,
+        maxInterval: 10000,
+        backoffFactor: 1.5, // Interval growth per clear frame
+        describeEvery: 6, // Every Nth capture is a full spoken description
+        maxConsecutiveErrors: 3
+    },
+    
+    // Voice commands (Web Speech recognition, see js/voice-commands.js)
+    voice: {
+        enabled: true,
+        lang: 'en-US',
+        autoStart: true, // Start listening when SideKick starts
+        resumeDelay: 400, // Wait after speech ends before listening again
+        rateStep: 0.2, // "slower" / "faster" change per command
+        minRate: 0.5,
+        maxRate: 2.0
+    },
+    
+    // Spatial sound cues for obstacles and doors (js/audio-cues.js)
+    audioCues: {
+        enabled: true,
+        volume: 0.4, // 0-1, relative to speech
+        waitingInterval: 1500 // Tick while waiting for an answer (state earcons can be muted in settings)
+    },
+    
+    // Whole-screen gesture mode (js/gestures.js)
+    gestures: {
+        doubleTapDelay: 300, // Second tap within this many ms = double-tap
+        longPressDelay: 600, // Hold this long = long-press (voice question)
+        swipeDistance: 80, // Minimum downward travel in px for a swipe
+        tapSlop: 12 // Finger may move this many px and still tap
+    },
+    
+    // Vibration for hazards and status (js/haptics.js)
+    haptics: {
+        enabled: true
+    },
+    
+    // Speech settings (defaults - the user's choices are saved by js/settings.js)
     speech: {
         enabled: true,
         lang: 'en-US',
-        rate: 1.0,
+        rate: 1.1, // Slightly faster for navigation
         pitch: 1.0,
-        volume: 1.0
+        volume: 1.0,
+        clauseLength: 80, // Speak a long sentence clause by clause once this many characters are waiting
+        clauseDelay: 1500, // ...or once text has been waiting this many ms
+        descriptionTtl: 20000, // Drop description sentences not yet spoken after this many ms
+        dedupeWindow: 10000 // Same warning (dedupe key) is not repeated within this many ms
     }
 };
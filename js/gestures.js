@@ -0,0 +1,143 @@
+/**
+ * Gesture Zone - whole-screen gestures for use without looking
+ * Recognizes tap, double-tap, swipe down and long-press on one large element.
+ * Screen readers (VoiceOver, TalkBack) turn their own double-tap into a plain
+ * click without pointer events; that click counts as a tap, and so does
+ * Enter/Space while the zone has focus.
+ */
+
+import { config } from './config.js';
+
+class GestureZone {
+    /**
+     * @param {HTMLElement} element - The zone (should have touch-action: none)
+     */
+    constructor(element) {
+        this.element = element;
+        this.start = null; // { x, y, time, pointerId } of the touch in progress
+        this.longPressTimer = null;
+        this.tapTimer = null; // Pending single tap, waiting to see if a second follows
+        this.lastGestureTime = 0; // Ignore the click that follows a handled pointerup
+
+        this.onTap = null; // Callback: () => void
+        this.onDoubleTap = null; // Callback: () => void
+        this.onSwipeDown = null; // Callback: () => void
+        this.onLongPress = null; // Callback: () => void
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        element.addEventListener('pointerdown', this.handlePointerDown);
+        element.addEventListener('pointermove', this.handlePointerMove);
+        element.addEventListener('pointerup', this.handlePointerUp);
+        element.addEventListener('pointercancel', this.handlePointerCancel);
+        element.addEventListener('click', this.handleClick);
+        element.addEventListener('keydown', this.handleKeyDown);
+        // Long-press must not open the browser's context menu
+        element.addEventListener('contextmenu', (event) => event.preventDefault());
+    }
+
+    handlePointerDown(event) {
+        // One finger only - multi-touch is left to the screen reader
+        if (this.start) {
+            this.handlePointerCancel();
+            return;
+        }
+        this.start = { x: event.clientX, y: event.clientY, time: Date.now(), pointerId: event.pointerId };
+        this.longPressTimer = setTimeout(() => {
+            this.start = null;
+            this.lastGestureTime = Date.now();
+            this.fire('onLongPress');
+        }, config.gestures.longPressDelay);
+    }
+
+    handlePointerMove(event) {
+        if (!this.start || event.pointerId !== this.start.pointerId) {
+            return;
+        }
+        // Moving turns a press into a swipe
+        if (Math.hypot(event.clientX - this.start.x, event.clientY - this.start.y) > config.gestures.tapSlop) {
+            clearTimeout(this.longPressTimer);
+        }
+    }
+
+    handlePointerUp(event) {
+        if (!this.start || event.pointerId !== this.start.pointerId) {
+            return;
+        }
+        clearTimeout(this.longPressTimer);
+        const dx = event.clientX - this.start.x;
+        const dy = event.clientY - this.start.y;
+        this.start = null;
+        this.lastGestureTime = Date.now();
+
+        if (dy >= config.gestures.swipeDistance && Math.abs(dx) < dy) {
+            this.fire('onSwipeDown');
+            return;
+        }
+        if (Math.hypot(dx, dy) <= config.gestures.tapSlop) {
+            this.registerTap();
+        }
+    }
+
+    handlePointerCancel() {
+        clearTimeout(this.longPressTimer);
+        this.start = null;
+    }
+
+    /**
+     * Screen reader activation arrives as a click with no pointer gesture before it
+     */
+    handleClick() {
+        if (Date.now() - this.lastGestureTime < config.gestures.doubleTapDelay * 2) {
+            return;
+        }
+        this.fire('onTap');
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.fire('onTap');
+        }
+    }
+
+    /**
+     * A tap fires after doubleTapDelay unless a second tap turns it into a double-tap
+     */
+    registerTap() {
+        if (this.tapTimer) {
+            clearTimeout(this.tapTimer);
+            this.tapTimer = null;
+            this.fire('onDoubleTap');
+            return;
+        }
+        this.tapTimer = setTimeout(() => {
+            this.tapTimer = null;
+            this.fire('onTap');
+        }, config.gestures.doubleTapDelay);
+    }
+
+    fire(name) {
+        console.log(`🖐️ [Gestures] ${name.replace(/^on/, '')}`);
+        if (this[name]) {
+            this[name]();
+        }
+    }
+
+    /**
+     * Cancel pending timers (e.g. when the zone is hidden)
+     */
+    reset() {
+        clearTimeout(this.longPressTimer);
+        clearTimeout(this.tapTimer);
+        this.tapTimer = null;
+        this.start = null;
+    }
+}
+
+export { GestureZone };
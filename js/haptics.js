@@ -0,0 +1,124 @@
+/**
+ * Haptic feedback with navigator.vibrate
+ * Distinct patterns tell the direction of a hazard (left, right, ahead) and
+ * whether it is urgent, so users who cannot hear the speech still feel it.
+ * A no-op where vibration is unsupported (iOS Safari, desktop).
+ */
+
+import { config } from './config.js';
+
+// Vibration patterns in ms: [on, off, on, ...]
+// Direction: the long pulse is on the side of the hazard
+const DIRECTION_PATTERNS = {
+    left: [400, 100, 100],
+    right: [100, 100, 400],
+    ahead: [150, 100, 150, 100, 150],
+    unknown: [250]
+};
+
+const STATUS_PATTERNS = {
+    capture: [40],
+    analyzing: [20, 150, 20],
+    done: [80, 60, 80]
+};
+
+// Urgent hazards get a long alert buzz first and the direction twice
+const URGENT_PREFIX = [600, 150];
+const URGENT_GAP = 200;
+
+class HapticsManager {
+    constructor() {
+        this.enabled = config.haptics.enabled;
+    }
+
+    /**
+     * Whether the device can vibrate
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Play a raw pattern (replaces any pattern still playing)
+     * @param {number[]} pattern
+     */
+    vibrate(pattern) {
+        if (!this.enabled || !this.isSupported()) {
+            return;
+        }
+        try {
+            navigator.vibrate(pattern);
+        } catch (error) {
+            console.warn('[Haptics] ⚠️ Vibration failed:', error);
+        }
+    }
+
+    stop() {
+        if (this.isSupported()) {
+            navigator.vibrate(0);
+        }
+    }
+
+    /**
+     * Hazard in a direction
+     * @param {string} direction - 'left', 'right', 'ahead' (anything else: unknown)
+     * @param {boolean} urgent - Urgent alert rather than informational
+     */
+    hazard(direction, urgent = false) {
+        const pattern = DIRECTION_PATTERNS[direction] || DIRECTION_PATTERNS.unknown;
+        console.log(`📳 [Haptics] Hazard ${direction}${urgent ? ' (urgent)' : ''}`);
+        this.vibrate(urgent ? [...URGENT_PREFIX, ...pattern, URGENT_GAP, ...pattern] : pattern);
+    }
+
+    /**
+     * Hazard event from the analysis stream ({ direction, severity })
+     * @param {Object} hazard
+     */
+    streamHazard(hazard) {
+        this.hazard(hazard.direction, hazard.severity === 'critical' || hazard.severity === 'high');
+    }
+
+    /**
+     * check_obstacles result: the most pressing obstacle, nothing when the path is clear
+     * @param {Object} result - { pathClear, obstacles: [{ position, distance, urgent }] }
+     */
+    obstacles(result) {
+        if (result.pathClear || !result.obstacles || result.obstacles.length === 0) {
+            return;
+        }
+
+        const rank = (obstacle) => (obstacle.urgent ? 0 : 3) + ({ immediate: 0, close: 1, far: 2 }[obstacle.distance] ?? 2);
+        const obstacle = [...result.obstacles].sort((a, b) => rank(a) - rank(b))[0];
+        const position = obstacle.position || 'directly ahead';
+        const direction = position.includes('left') ? 'left' : position.includes('right') ? 'right' : 'ahead';
+        this.hazard(direction, obstacle.urgent || obstacle.distance === 'immediate');
+    }
+
+    /** Picture taken */
+    capture() {
+        this.vibrate(STATUS_PATTERNS.capture);
+    }
+
+    /** Request sent, waiting for the answer */
+    analyzing() {
+        this.vibrate(STATUS_PATTERNS.analyzing);
+    }
+
+    /** Answer complete */
+    done() {
+        this.vibrate(STATUS_PATTERNS.done);
+    }
+}
+
+export const haptics = new HapticsManager();
@@ -0,0 +1,88 @@
+/**
+ * PWA support - registers the service worker (sw.js) and reports updates
+ * A new version installs in the background and waits; onUpdateAvailable lets
+ * the app ask the user, and applyUpdate() switches to it and reloads.
+ */
+
+import { config } from './config.js';
+
+class PwaManager {
+    constructor() {
+        this.registration = null;
+        this.updating = false; // applyUpdate() was called
+        this.reloading = false;
+        this.onUpdateAvailable = null; // Callback: () => void
+    }
+
+    /**
+     * Whether service workers can be used (needs HTTPS or localhost)
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    /**
+     * Register sw.js and watch for updates
+     * @returns {Promise<void>}
+     */
+    async register() {
+        if (!config.pwa.serviceWorker || !this.isSupported()) {
+            console.log('[PWA] Service worker disabled or unsupported');
+            return;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+            console.log('✅ [PWA] Service worker registered, scope:', this.registration.scope);
+        } catch (error) {
+            console.warn('[PWA] ⚠️ Service worker registration failed:', error);
+            return;
+        }
+
+        // An update that finished installing in an earlier visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.notifyUpdate();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            worker.addEventListener('statechange', () => {
+                // First install has no controller - that is not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.notifyUpdate();
+                }
+            });
+        });
+
+        // The new worker took over (applyUpdate) - load the new files. A first
+        // install or the dev worker claiming the page needs no reload.
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updating || this.reloading) {
+                return;
+            }
+            this.reloading = true;
+            window.location.reload();
+        });
+    }
+
+    notifyUpdate() {
+        console.log('🆕 [PWA] Update available');
+        if (this.onUpdateAvailable) {
+            this.onUpdateAvailable();
+        }
+    }
+
+    /**
+     * Activate the waiting version (the page reloads on controllerchange)
+     */
+    applyUpdate() {
+        const waiting = this.registration?.waiting;
+        if (waiting) {
+            this.updating = true;
+            waiting.postMessage({ type: 'SKIP_WAITING' });
+        }
+    }
+}
+
+export const pwa = new PwaManager();
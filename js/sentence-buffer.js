@@ -1,16 +1,45 @@
 /**
  * Sentence Buffer - Accumulates text chunks and extracts complete sentences
- * Splits on sentence boundaries (. ! ?) to prevent mid-sentence TTS breaks
+ * Splits on sentence boundaries (. ! ?) to prevent mid-sentence TTS breaks,
+ * skipping periods that belong to abbreviations ("Dr.") and list numbers.
+ * Long sentences are also split at clause boundaries (, ; : and dashes) once
+ * a length or time threshold is passed, and a leading "Warning:" clause is
+ * emitted as soon as it is complete so it can be spoken straight away.
  */
 
+// Words that end in a period without ending the sentence (lowercase, no final dot)
+const ABBREVIATIONS = new Set(['dr', 'mr', 'mrs', 'ms', 'prof', 'st', 'mt', 'jr', 'sr', 'vs', 'approx', 'e.g', 'i.e', 'etc']);
+
+// Same prefixes the server's hazard detector treats as warnings
+const WARNING_PREFIX = /^\s*(warning|caution|danger|careful)\s*[:!,-]\s*/i;
+
+// Punctuation followed by whitespace; the character after the whitespace
+// decides whether a period really ends the sentence, so it must have arrived
+const SENTENCE_END = /([.!?]+)\s+(?=(\S))/g;
+
+// Comma, semicolon or colon followed by a space ("1,000" is not a clause), or a spaced dash
+const CLAUSE_END = /[,;:](?=\s)|\s[-–—](?=\s)/g;
+
+// Shortest clause worth speaking on its own
+const MIN_CLAUSE_LENGTH = 15;
+
 class SentenceBuffer {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {number} options.clauseLength - Split at a clause once this many characters are waiting
+     * @param {number} options.clauseDelay - ...or once text has been waiting this many ms
+     */
+    constructor(options = {}) {
         this.buffer = '';
-        this.onSentence = null; // Callback: (sentence: string) => void
+        this.bufferSince = null; // When the oldest unspoken text arrived
+        this.clauseLength = options.clauseLength || 80;
+        this.clauseDelay = options.clauseDelay || 1500;
+        this.onSentence = null; // Callback: (sentence: string, kind: 'sentence'|'clause'|'warning') => void
     }
 
     /**
      * Add text chunk to buffer and extract complete sentences
+     * (thresholds are checked whenever a chunk arrives)
      * @param {string} chunk - Text chunk from stream
      */
     addChunk(chunk) {
@@ -19,20 +48,27 @@ class SentenceBuffer {
         }
 
         console.log('📝 [SentenceBuffer] Adding chunk:', chunk.substring(0, 50));
-        
+
         // Add chunk to buffer
+        if (!this.buffer.trim()) {
+            this.bufferSince = Date.now();
+        }
         this.buffer += chunk;
-        
+
         // Extract complete sentences (ending with . ! ?)
-        const sentenceEndRegex = /([.!?]+)\s+/g;
+        const segments = [];
         let match;
         let lastIndex = 0;
-        const sentences = [];
+        SENTENCE_END.lastIndex = 0;
 
-        while ((match = sentenceEndRegex.exec(this.buffer)) !== null) {
-            const sentence = this.buffer.substring(lastIndex, match.index + match[1].length).trim();
+        while ((match = SENTENCE_END.exec(this.buffer)) !== null) {
+            const end = match.index + match[1].length;
+            if (!this.isSentenceEnd(this.buffer.substring(lastIndex, end), match[1], match[2])) {
+                continue;
+            }
+            const sentence = this.buffer.substring(lastIndex, end).trim();
             if (sentence) {
-                sentences.push(sentence);
+                segments.push({ text: sentence, kind: this.kindOf(sentence, 'sentence') });
             }
             lastIndex = match.index + match[0].length;
         }
@@ -40,21 +76,105 @@ class SentenceBuffer {
         // Remove extracted sentences from buffer
         if (lastIndex > 0) {
             this.buffer = this.buffer.substring(lastIndex);
+            this.bufferSince = Date.now();
+        }
+
+        // Part of the unfinished sentence, if it is urgent or has waited long enough
+        const clause = this.extractClause();
+        if (clause) {
+            segments.push(clause);
         }
 
         // Emit complete sentences
-        if (sentences.length > 0) {
-            console.log(`✅ [SentenceBuffer] Extracted ${sentences.length} complete sentence(s)`);
-            sentences.forEach(sentence => {
-                if (this.onSentence) {
-                    this.onSentence(sentence);
-                }
-            });
+        if (segments.length > 0) {
+            console.log(`✅ [SentenceBuffer] Extracted ${segments.length} segment(s)`);
+            segments.forEach(({ text, kind }) => this.emit(text, kind));
         } else {
             console.log('⏳ [SentenceBuffer] No complete sentences yet, buffering...');
         }
     }
 
+    /**
+     * Whether punctuation found by SENTENCE_END really ends the sentence
+     * @param {string} sentence - Text from the previous boundary up to the punctuation
+     * @param {string} punctuation - The matched run of . ! ?
+     * @param {string} next - First character after the whitespace
+     * @returns {boolean}
+     */
+    isSentenceEnd(sentence, punctuation, next) {
+        if (punctuation !== '.') {
+            return true;
+        }
+
+        // "Dr. Smith", "e.g. a chair"
+        const word = (sentence.match(/(\S+)\.$/) || [])[1] || '';
+        if (ABBREVIATIONS.has(word.replace(/^[("'“]+/, '').toLowerCase())) {
+            return false;
+        }
+
+        // A list number ("1. Door on the left") is not a sentence
+        if (/^\s*\d+\.$/.test(sentence)) {
+            return false;
+        }
+
+        // Sentences start with a capital or a digit; "3 in. wide" does not
+        return !/[a-z]/.test(next);
+    }
+
+    /**
+     * Split off a clause of the unfinished sentence in the buffer: a leading
+     * "Warning:" clause as soon as it is complete, anything else only once
+     * clauseLength or clauseDelay is passed
+     * @returns {{text: string, kind: string}|null}
+     */
+    extractClause() {
+        const warning = this.buffer.match(WARNING_PREFIX);
+        const searchFrom = warning ? warning[0].length : 0;
+        const overdue = this.buffer.length >= this.clauseLength
+            || (this.bufferSince !== null && Date.now() - this.bufferSince >= this.clauseDelay);
+        if (!warning && !overdue) {
+            return null;
+        }
+
+        // Warnings end at their first clause; otherwise say as much as possible
+        let end = -1;
+        let match;
+        CLAUSE_END.lastIndex = searchFrom;
+        while ((match = CLAUSE_END.exec(this.buffer)) !== null) {
+            const candidate = match[0].length > 1 ? match.index : match.index + 1;
+            if (warning) {
+                end = candidate;
+                break;
+            }
+            if (candidate >= MIN_CLAUSE_LENGTH) {
+                end = candidate;
+            }
+        }
+        if (end === -1) {
+            return null;
+        }
+
+        const text = this.buffer.substring(0, end).trim();
+        this.buffer = this.buffer.substring(end).replace(/^\s*[-–—]?\s*/, '');
+        this.bufferSince = this.buffer ? Date.now() : null;
+        return { text, kind: warning ? 'warning' : 'clause' };
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} kind - Kind to use when the text is not a warning
+     * @returns {string}
+     */
+    kindOf(text, kind) {
+        return WARNING_PREFIX.test(text) ? 'warning' : kind;
+    }
+
+    emit(text, kind) {
+        if (this.onSentence) {
+            this.onSentence(text, kind);
+        }
+    }
+
     /**
      * Flush remaining buffer as final sentence (even if no punctuation)
      * Call this when stream completes
@@ -63,11 +183,10 @@ class SentenceBuffer {
         const remaining = this.buffer.trim();
         if (remaining) {
             console.log('📤 [SentenceBuffer] Flushing remaining buffer:', remaining);
-            if (this.onSentence) {
-                this.onSentence(remaining);
-            }
-            this.buffer = '';
+            this.emit(remaining, this.kindOf(remaining, 'sentence'));
         }
+        this.buffer = '';
+        this.bufferSince = null;
     }
 
     /**
@@ -76,6 +195,7 @@ class SentenceBuffer {
     reset() {
         console.log('🔄 [SentenceBuffer] Resetting buffer');
         this.buffer = '';
+        this.bufferSince = null;
     }
 
     /**
@@ -84,6 +204,7 @@ class SentenceBuffer {
     getState() {
         return {
             bufferLength: this.buffer.length,
+            bufferAge: this.bufferSince === null ? null : Date.now() - this.bufferSince,
             buffer: this.buffer.substring(0, 100) // First 100 chars
         };
     }
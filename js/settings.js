@@ -0,0 +1,190 @@
+/**
+ * Speech settings - voice, rate, pitch, volume and language
+ * Saved in localStorage and applied to the TTS queue whenever they change.
+ */
+
+import { config } from './config.js';
+import { speech } from './speech.js';
+
+// localStorage key of the saved settings (JSON)
+const SPEECH_SETTINGS_KEY = 'sidekick.speechSettings';
+
+// Allowed range of each numeric setting (rate shares the voice command limits)
+export const SETTING_RANGES = {
+    rate: { min: config.voice.minRate, max: config.voice.maxRate, step: 0.1 },
+    pitch: { min: 0.5, max: 2.0, step: 0.1 },
+    volume: { min: 0.1, max: 1.0, step: 0.1 }
+};
+
+class SpeechSettings {
+    constructor() {
+        this.values = this.load();
+        this.voices = []; // SpeechSynthesisVoice list, filled by loadVoices
+        this.onChange = null; // Callback: (values, changedKeys) => void
+    }
+
+    /**
+     * Defaults from config.speech (voiceURI null = browser default voice)
+     * @returns {Object}
+     */
+    getDefaults() {
+        return {
+            voiceURI: null,
+            rate: config.speech.rate,
+            pitch: config.speech.pitch,
+            volume: config.speech.volume,
+            lang: config.speech.lang
+        };
+    }
+
+    /**
+     * Read saved settings, ignoring unknown keys and invalid values
+     * @returns {Object}
+     */
+    load() {
+        const values = this.getDefaults();
+        try {
+            const saved = JSON.parse(localStorage.getItem(SPEECH_SETTINGS_KEY));
+            if (saved && typeof saved === 'object') {
+                Object.assign(values, this.sanitize(saved));
+            }
+        } catch (error) {
+            console.warn('[Settings] ⚠️ Could not read speech settings:', error);
+        }
+        return values;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SPEECH_SETTINGS_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('[Settings] ⚠️ Could not save speech settings:', error);
+        }
+    }
+
+    /**
+     * Keep only known keys, clamping numbers to SETTING_RANGES
+     * @param {Object} changes
+     * @returns {Object}
+     */
+    sanitize(changes) {
+        const clean = {};
+        for (const [key, range] of Object.entries(SETTING_RANGES)) {
+            const value = Number(changes[key]);
+            if (key in changes && Number.isFinite(value)) {
+                clean[key] = Math.round(Math.min(range.max, Math.max(range.min, value)) * 10) / 10;
+            }
+        }
+        if (changes.voiceURI === null || typeof changes.voiceURI === 'string') {
+            clean.voiceURI = changes.voiceURI || null;
+        }
+        if (typeof changes.lang === 'string' && changes.lang.trim()) {
+            clean.lang = changes.lang.trim();
+        }
+        return clean;
+    }
+
+    /**
+     * Current settings
+     * @returns {Object} { voiceURI, rate, pitch, volume, lang }
+     */
+    get() {
+        return { ...this.values };
+    }
+
+    /**
+     * Change some settings, save them and notify onChange
+     * @param {Object} changes - Any of voiceURI, rate, pitch, volume, lang
+     * @returns {Object} The new settings
+     */
+    update(changes) {
+        const clean = this.sanitize(changes);
+
+        // A voice speaks one language - picking it sets the language,
+        // and a new language drops a voice that does not speak it
+        const voice = clean.voiceURI ? this.findVoice(clean.voiceURI) : null;
+        if (voice && !('lang' in clean)) {
+            clean.lang = voice.lang;
+        } else if ('lang' in clean && !('voiceURI' in clean)) {
+            const current = this.getVoice();
+            if (current && !this.matchesLang(current, clean.lang)) {
+                clean.voiceURI = null;
+            }
+        }
+
+        const changed = Object.keys(clean).filter((key) => clean[key] !== this.values[key]);
+        if (changed.length === 0) {
+            return this.get();
+        }
+
+        Object.assign(this.values, clean);
+        this.save();
+        console.log('⚙️ [Settings] Speech settings changed:', changed, this.values);
+        if (this.onChange) {
+            this.onChange(this.get(), changed);
+        }
+        return this.get();
+    }
+
+    /**
+     * Back to config.speech defaults
+     * @returns {Object}
+     */
+    reset() {
+        return this.update(this.getDefaults());
+    }
+
+    /**
+     * Load the installed voices (asynchronous on most mobile browsers)
+     * @returns {Promise<SpeechSynthesisVoice[]>}
+     */
+    async loadVoices() {
+        if (!('speechSynthesis' in window)) {
+            return [];
+        }
+        this.voices = await speech.getVoices();
+        console.log('⚙️ [Settings] Voices available:', this.voices.length);
+        return this.voices;
+    }
+
+    /**
+     * @param {string} voiceURI
+     * @returns {SpeechSynthesisVoice|null}
+     */
+    findVoice(voiceURI) {
+        return this.voices.find((voice) => voice.voiceURI === voiceURI) || null;
+    }
+
+    /**
+     * The chosen voice, or null for the browser default (also when the saved
+     * voice is not installed on this device)
+     * @returns {SpeechSynthesisVoice|null}
+     */
+    getVoice() {
+        return this.values.voiceURI ? this.findVoice(this.values.voiceURI) : null;
+    }
+
+    /**
+     * Voices for the current language ("en" matches "en-US" and "en-GB")
+     * @returns {SpeechSynthesisVoice[]}
+     */
+    getVoicesForLang() {
+        return this.voices.filter((voice) => this.matchesLang(voice, this.values.lang));
+    }
+
+    /**
+     * Languages the installed voices speak, sorted
+     * @returns {string[]}
+     */
+    getLanguages() {
+        return [...new Set(this.voices.map((voice) => voice.lang))].sort();
+    }
+
+    matchesLang(voice, lang) {
+        const wanted = lang.toLowerCase().replace('_', '-');
+        const have = voice.lang.toLowerCase().replace('_', '-');
+        return have === wanted || have.split('-')[0] === wanted.split('-')[0];
+    }
+}
+
+export const speechSettings = new SpeechSettings();
@@ -1,27 +1,34 @@
 /**
  * TTS Queue - Manages sequential text-to-speech playback
- * Prevents overlapping speech by queuing sentences and processing one at a time
+ * Prevents overlapping speech by queuing sentences and processing one at a time.
+ * Items are ordered by priority; urgent items interrupt, stale items expire
+ * and keyed items are not repeated within a window.
  */
 
+// Lower number = spoken first
+const PRIORITIES = { urgent: 0, normal: 1, low: 2 };
+
 class TTSQueue {
     constructor(options = {}) {
         this.queue = [];
         this.isSpeaking = false;
         this.currentUtterance = null;
+        this.currentItem = null; // Queue item being spoken
+        this.recentKeys = new Map(); // Dedupe key -> last time it was spoken
         this.synth = window.speechSynthesis;
         this.voicesLoaded = false;
         this.audioUnlocked = false; // Mobile requires user interaction to unlock audio
         this.iOSResumeInterval = null;
+        this.active = false; // Speaking or about to speak (see onSpeakingChange)
+        this.onSpeakingChange = null; // Callback: (active: boolean) => void, e.g. to pause speech recognition
         
         // Configuration
         this.rate = options.rate || 1.1; // Slightly faster for navigation
         this.pitch = options.pitch || 1.0;
         this.volume = options.volume || 1.0;
         this.lang = options.lang || 'en-US';
-        
-        // Bind methods
-        this.handleUtteranceEnd = this.handleUtteranceEnd.bind(this);
-        this.handleUtteranceError = this.handleUtteranceError.bind(this);
+        this.voice = options.voice || null; // SpeechSynthesisVoice, null = browser default
+        this.dedupeWindow = options.dedupeWindow || 10000; // Suppress repeats of a key within this many ms
         
         // Wait for voices to load (critical for mobile)
         this.loadVoices();
@@ -62,6 +69,25 @@ class TTSQueue {
         }, 1000);
     }
 
+    /**
+     * Change voice settings; applies from the next utterance
+     * @param {Object} settings - Any of rate, pitch, volume, lang, voice
+     */
+    configure(settings) {
+        for (const key of ['rate', 'pitch', 'volume', 'lang', 'voice']) {
+            if (key in settings) {
+                this[key] = settings[key];
+            }
+        }
+        console.log('⚙️ [TTSQueue] Configured:', {
+            rate: this.rate,
+            pitch: this.pitch,
+            volume: this.volume,
+            lang: this.lang,
+            voice: this.voice ? this.voice.name : 'default'
+        });
+    }
+
     /**
      * Unlock audio on mobile - must be called from user interaction
      * Speaks a short phrase to activate audio session
@@ -122,19 +148,85 @@ class TTSQueue {
     }
 
     /**
-     * Add sentence to queue
+     * Add text to the queue
      * @param {string} text - Sentence to speak
+     * @param {Object} options
+     * @param {string} options.priority - 'urgent' (cuts off current speech),
+     *   'normal' (default) or 'low'; higher priorities are spoken first
+     * @param {number} options.ttl - Drop the item if it has not started within
+     *   this many ms (e.g. a scene description the user has walked past)
+     * @param {string} options.key - Dedupe key: replaces a queued item with the
+     *   same key, and is suppressed if spoken within options.dedupeWindow
+     * @param {number} options.dedupeWindow - ms (default this.dedupeWindow)
+     * @returns {boolean} false if the text was empty or suppressed as a repeat
      */
-    enqueue(text) {
+    enqueue(text, options = {}) {
         if (!text || typeof text !== 'string' || text.trim().length === 0) {
-            return;
+            return false;
         }
 
         const trimmed = text.trim();
-        console.log('🎤 [TTSQueue] Enqueuing:', trimmed.substring(0, 50));
-        
-        this.queue.push(trimmed);
+        const now = Date.now();
+        const priority = PRIORITIES[options.priority] !== undefined ? options.priority : 'normal';
+        const key = options.key || null;
+        const item = {
+            text: trimmed,
+            priority,
+            key,
+            expiresAt: options.ttl ? now + options.ttl : null
+        };
+
+        if (key) {
+            const dedupeWindow = options.dedupeWindow ?? this.dedupeWindow;
+            const lastSpoken = this.recentKeys.get(key);
+            if (lastSpoken !== undefined && now - lastSpoken < dedupeWindow) {
+                console.log('🔁 [TTSQueue] Suppressing repeat:', key);
+                return false;
+            }
+
+            // Newer text for the same thing replaces the queued one
+            const queuedIndex = this.queue.findIndex((queued) => queued.key === key);
+            if (queuedIndex !== -1) {
+                this.queue.splice(queuedIndex, 1);
+            }
+        }
+
+        console.log(`🎤 [TTSQueue] Enqueuing (${priority}):`, trimmed.substring(0, 50));
+
+        // After every item of the same or higher priority (FIFO within a priority)
+        const rank = PRIORITIES[priority];
+        const insertAt = this.queue.findIndex((queued) => PRIORITIES[queued.priority] > rank);
+        if (insertAt === -1) {
+            this.queue.push(item);
+        } else {
+            this.queue.splice(insertAt, 0, item);
+        }
+
+        this.setActive(true);
+
+        // Urgent cuts off anything less urgent that is being spoken
+        if (priority === 'urgent' && this.isSpeaking && this.currentItem?.priority !== 'urgent') {
+            console.log('⚡ [TTSQueue] Interrupting for urgent item');
+            this.interrupt();
+            return true;
+        }
+
         this.processQueue();
+        return true;
+    }
+
+    /**
+     * Track whether the queue has anything to say and notify onSpeakingChange
+     * @param {boolean} active
+     */
+    setActive(active) {
+        if (this.active === active) {
+            return;
+        }
+        this.active = active;
+        if (this.onSpeakingChange) {
+            this.onSpeakingChange(active);
+        }
     }
 
     /**
@@ -147,28 +239,40 @@ class TTSQueue {
             return;
         }
 
+        // Drop items that went stale while waiting
+        const now = Date.now();
+        this.queue = this.queue.filter((item) => {
+            const fresh = item.expiresAt === null || item.expiresAt > now;
+            if (!fresh) {
+                console.log('⌛ [TTSQueue] Expired:', item.text.substring(0, 50));
+            }
+            return fresh;
+        });
+
         // If queue is empty, nothing to do
         if (this.queue.length === 0) {
+            this.setActive(false);
             return;
         }
 
         // Get next sentence from queue
-        const text = this.queue.shift();
-        this.speak(text);
+        const item = this.queue.shift();
+        this.speak(item);
     }
 
     /**
-     * Speak a sentence
-     * @param {string} text - Text to speak
+     * Speak a queue item
+     * @param {Object} item - { text, priority, key, expiresAt }
      */
-    speak(text) {
+    speak(item) {
+        const { text } = item;
         try {
             // Check if audio is unlocked (mobile requirement)
             if (!this.audioUnlocked) {
                 console.warn('[TTSQueue] ⚠️ Audio not unlocked, attempting to unlock...');
                 this.unlockAudio().then(() => {
                     // Retry after unlock
-                    this.speak(text);
+                    this.speak(item);
                 });
                 return;
             }
@@ -178,11 +282,11 @@ class TTSQueue {
                 console.log('[TTSQueue] ⏳ Waiting for voices to load...');
                 setTimeout(() => {
                     if (this.voicesLoaded) {
-                        this.speak(text);
+                        this.speak(item);
                     } else {
                         console.warn('[TTSQueue] ⚠️ Voices not loaded, speaking anyway');
                         this.voicesLoaded = true; // Force continue
-                        this.speak(text);
+                        this.speak(item);
                     }
                 }, 500);
                 return;
@@ -202,16 +306,34 @@ class TTSQueue {
             utterance.pitch = this.pitch;
             utterance.volume = this.volume;
             utterance.lang = this.lang;
+            if (this.voice) {
+                utterance.voice = this.voice;
+            }
+
+            // Claim the speaker now so nothing else starts before onstart fires
+            this.isSpeaking = true;
+            this.currentUtterance = utterance;
+            this.currentItem = item;
+            if (item.key) {
+                this.rememberKey(item.key);
+            }
 
-            // Set up event handlers
+            // Set up event handlers (ignore events from utterances that were cut off)
             utterance.onstart = () => {
-                this.isSpeaking = true;
-                this.currentUtterance = utterance;
+                this.setActive(true);
                 console.log('🔊 [TTSQueue] Speaking:', text.substring(0, 50));
             };
 
-            utterance.onend = this.handleUtteranceEnd;
-            utterance.onerror = this.handleUtteranceError;
+            utterance.onend = () => {
+                if (this.currentUtterance === utterance) {
+                    this.handleUtteranceEnd();
+                }
+            };
+            utterance.onerror = (event) => {
+                if (this.currentUtterance === utterance) {
+                    this.handleUtteranceError(event);
+                }
+            };
 
             // Speak
             this.synth.speak(utterance);
@@ -220,11 +342,26 @@ class TTSQueue {
             console.error('❌ [TTSQueue] Error speaking:', error);
             this.isSpeaking = false;
             this.currentUtterance = null;
+            this.currentItem = null;
             // Continue processing queue even on error
             this.processQueue();
         }
     }
 
+    /**
+     * Record when a dedupe key was spoken, forgetting keys older than the window
+     * @param {string} key
+     */
+    rememberKey(key) {
+        const now = Date.now();
+        for (const [oldKey, time] of this.recentKeys) {
+            if (now - time >= this.dedupeWindow) {
+                this.recentKeys.delete(oldKey);
+            }
+        }
+        this.recentKeys.set(key, now);
+    }
+
     /**
      * Handle utterance end - process next in queue
      */
@@ -232,6 +369,7 @@ class TTSQueue {
         console.log('✅ [TTSQueue] Finished speaking');
         this.isSpeaking = false;
         this.currentUtterance = null;
+        this.currentItem = null;
         
         // Process next item in queue
         this.processQueue();
@@ -244,20 +382,34 @@ class TTSQueue {
         console.error('❌ [TTSQueue] Speech error:', event.error);
         this.isSpeaking = false;
         this.currentUtterance = null;
+        this.currentItem = null;
         
         // Continue processing queue even on error
         this.processQueue();
     }
 
+    /**
+     * Cut off the current utterance and continue with the queue
+     */
+    interrupt() {
+        this.currentUtterance = null;
+        this.currentItem = null;
+        this.isSpeaking = false;
+        this.synth.cancel();
+        this.processQueue();
+    }
+
     /**
      * Stop current speech and clear queue
      */
     stop() {
         console.log('🛑 [TTSQueue] Stopping and clearing queue');
+        this.currentUtterance = null;
+        this.currentItem = null;
         this.synth.cancel();
         this.isSpeaking = false;
-        this.currentUtterance = null;
         this.queue = [];
+        this.setActive(false);
         
         // Resume if paused (iOS)
         if (this.synth.paused) {
@@ -280,6 +432,7 @@ class TTSQueue {
         return {
             queueLength: this.queue.length,
             isSpeaking: this.isSpeaking,
+            current: this.currentItem,
             queue: this.queue.slice(0, 3) // First 3 items
         };
     }
@@ -0,0 +1,406 @@
+/**
+ * Voice Commands - Hands-free control with the Web Speech recognition API
+ * Listens continuously, matches each phrase against an intent table and
+ * reports the intent to the app. Listening pauses while the app is speaking
+ * so it never hears itself.
+ */
+
+import { config } from './config.js';
+
+/**
+ * Intent table, checked in order (first match wins, so specific phrases such
+ * as "stop walking" come before "stop"). Each intent has:
+ *   name     - passed to onCommand
+ *   patterns - RegExps tested against the lowercased transcript; named groups
+ *              become params (e.g. (?<target>...) for find_object)
+ *   help     - example phrase for the spoken help
+ * Add intents with VoiceCommands#addIntent.
+ */
+export const DEFAULT_INTENTS = [
+    {
+        name: 'walk_start',
+        patterns: [/\b(start|begin) (walk(ing)?|walk mode)\b/, /\bwalk mode on\b/],
+        help: 'start walking'
+    },
+    {
+        name: 'walk_stop',
+        patterns: [/\bstop (walk(ing)?|walk mode)\b/, /\bwalk mode off\b/],
+        help: 'stop walking'
+    },
+    {
+        name: 'stop_search',
+        patterns: [/\bstop (search(ing)?|looking)\b/],
+        help: 'stop searching'
+    },
+    {
+        name: 'stop',
+        patterns: [/^(stop|quiet|be quiet|cancel|silence|shh+|enough)\b/],
+        help: 'stop'
+    },
+    {
+        name: 'whats_ahead',
+        patterns: [/\bwhat('s| is) (ahead|in front( of me)?)\b/, /\bis (the|my) (path|way) clear\b/, /\bcheck (the |my )?path\b/],
+        help: "what's ahead"
+    },
+    {
+        name: 'read_text',
+        patterns: [/\bread (this|that|it|the text|the sign|the label)\b/, /\bwhat does (this|that|it) say\b/],
+        help: 'read this'
+    },
+    {
+        name: 'find_object',
+        patterns: [/\b(?:find|look for|where(?:'s| is| are)) (?:my |the |a |an )?(?<target>.+)$/],
+        help: 'find my keys'
+    },
+    {
+        name: 'describe',
+        patterns: [/^describe\b/, /\bwhat('s| is) around( me)?\b/, /\bwhere am i\b/, /\blook around\b/],
+        help: 'describe'
+    },
+    {
+        name: 'repeat',
+        patterns: [/\b(repeat|say (that|it) again|what did you say|pardon)\b/],
+        help: 'repeat'
+    },
+    {
+        name: 'slower',
+        patterns: [/\b(slower|slow down)\b/],
+        help: 'slower'
+    },
+    {
+        name: 'faster',
+        patterns: [/\b(faster|speed up)\b/],
+        help: 'faster'
+    },
+    {
+        name: 'next_voice',
+        patterns: [/\b(next|change|different|another) voice\b/],
+        help: 'next voice'
+    },
+    {
+        name: 'preview_voice',
+        patterns: [/\b(preview|test) (the )?voice\b/],
+        help: 'preview voice'
+    },
+    {
+        name: 'light',
+        // Command forms only ("light on", "turn off the torch"), so questions like
+        // "is there a light on the left" are not taken as a switch
+        patterns: [
+            /\bturn (?<state>on|off) (?:the |my )?(?:light|flashlight|torch)\b/,
+            /\bturn (?:the |my )?(?:light|flashlight|torch) (?<state>on|off)\b/,
+            /^(?:the )?(?:light|flashlight|torch)(?: (?<state>on|off))?$/
+        ],
+        help: 'light on'
+    },
+    {
+        name: 'sounds',
+        patterns: [/\b(?:sounds?|beeps?|sound effects) (?<state>on|off)\b/, /\b(?<state>mute|unmute) (?:the )?(?:sounds?|beeps?|sound effects)\b/],
+        help: 'sounds off'
+    },
+    {
+        name: 'zoom_in',
+        patterns: [/\bzoom in\b/, /\bcloser\b/],
+        help: 'zoom in'
+    },
+    {
+        name: 'zoom_out',
+        patterns: [/\bzoom out\b/],
+        help: 'zoom out'
+    },
+    {
+        name: 'switch_camera',
+        patterns: [/\b(switch|change|next) camera\b/],
+        help: 'switch camera'
+    },
+    {
+        name: 'help',
+        patterns: [/\b(help|what can i say|commands)\b/],
+        help: 'help'
+    }
+];
+
+class VoiceCommands {
+    /**
+     * @param {Object} options
+     * @param {Array} options.intents - Intent table (default DEFAULT_INTENTS)
+     * @param {string} options.lang - Recognition language (default config.voice.lang)
+     */
+    constructor(options = {}) {
+        this.intents = [...(options.intents || DEFAULT_INTENTS)];
+        this.lang = options.lang || config.voice.lang;
+        this.recognition = null;
+        this.listening = false; // Wanted on (start() called, stop() not)
+        this.paused = false; // Temporarily off while the app speaks
+        this.running = false; // Recognition session actually open
+        this.resumeTimer = null;
+        this.oneShot = false; // listenOnce in progress
+
+        this.onCommand = null; // Callback: (intent, params, transcript) => void
+        this.onUnrecognized = null; // Callback: (transcript) => void
+        this.onStateChange = null; // Callback: (listening: boolean) => void
+        this.onError = null; // Callback: (error: string) => void
+    }
+
+    /**
+     * Whether the browser has speech recognition
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof window !== 'undefined' && !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    }
+
+    /**
+     * Add an intent (see DEFAULT_INTENTS)
+     * @param {Object} intent
+     * @param {boolean} first - Check it before the existing intents
+     */
+    addIntent(intent, first = false) {
+        if (first) {
+            this.intents.unshift(intent);
+        } else {
+            this.intents.push(intent);
+        }
+    }
+
+    /**
+     * Match a transcript against the intent table
+     * @param {string} transcript
+     * @returns {{intent: Object, params: Object}|null}
+     */
+    match(transcript) {
+        const text = transcript.toLowerCase().replace(/[.,!?]/g, '').trim();
+        for (const intent of this.intents) {
+            for (const pattern of intent.patterns) {
+                const found = text.match(pattern);
+                if (found) {
+                    const params = {};
+                    for (const [key, value] of Object.entries(found.groups || {})) {
+                        params[key] = value ? value.trim() : value;
+                    }
+                    return { intent, params };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Example phrases for spoken help
+     * @returns {string[]}
+     */
+    getHelpPhrases() {
+        return this.intents.filter((intent) => intent.help).map((intent) => intent.help);
+    }
+
+    /**
+     * Start listening (must be called from a user gesture the first time)
+     * @returns {boolean} false if recognition is unsupported
+     */
+    start() {
+        if (!VoiceCommands.isSupported()) {
+            console.warn('[VoiceCommands] ⚠️ Speech recognition not supported');
+            return false;
+        }
+
+        this.listening = true;
+        this.paused = false;
+        this.startRecognition();
+        this.notifyState();
+        return true;
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        this.listening = false;
+        clearTimeout(this.resumeTimer);
+        this.stopRecognition();
+        this.notifyState();
+    }
+
+    /**
+     * Stop hearing audio while the app speaks
+     */
+    pause() {
+        clearTimeout(this.resumeTimer);
+        if (!this.listening || this.paused) {
+            return;
+        }
+        console.log('[VoiceCommands] ⏸️ Paused while speaking');
+        this.paused = true;
+        this.stopRecognition();
+    }
+
+    /**
+     * Listen again once the app has finished speaking (after a short delay
+     * so the tail of the speech is not picked up)
+     */
+    resume() {
+        if (!this.listening || !this.paused || this.oneShot) {
+            return;
+        }
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => {
+            console.log('[VoiceCommands] ▶️ Resumed');
+            this.paused = false;
+            this.startRecognition();
+        }, config.voice.resumeDelay);
+    }
+
+    /**
+     * Recognize one free-form utterance (e.g. a question) instead of a
+     * command; command listening is paused until it is over
+     * @returns {Promise<string|null>} What was said, or null if nothing was heard
+     */
+    listenOnce() {
+        if (!VoiceCommands.isSupported() || this.oneShot) {
+            return Promise.resolve(null);
+        }
+
+        // Let the command session close first - browsers allow one at a time
+        const wait = this.running ? config.voice.resumeDelay : 0;
+        this.pause();
+        this.oneShot = true;
+
+        return new Promise((resolve) => {
+            let transcript = null;
+            const finish = () => {
+                this.oneShot = false;
+                this.resume();
+                resolve(transcript);
+            };
+
+            setTimeout(() => {
+                const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+                const recognition = new Recognition();
+                recognition.lang = this.lang;
+                recognition.continuous = false;
+                recognition.interimResults = false;
+                recognition.maxAlternatives = 1;
+                recognition.onresult = (event) => {
+                    transcript = event.results[0][0].transcript.trim() || null;
+                    console.log('[VoiceCommands] 🎙️ Heard (one-shot):', transcript);
+                };
+                recognition.onerror = (event) => {
+                    if (event.error !== 'no-speech' && event.error !== 'aborted') {
+                        console.error('[VoiceCommands] ❌ One-shot recognition error:', event.error);
+                    }
+                };
+                recognition.onend = finish;
+
+                try {
+                    recognition.start();
+                } catch (error) {
+                    console.warn('[VoiceCommands] ⚠️ Could not start one-shot recognition:', error.message);
+                    finish();
+                }
+            }, wait);
+        });
+    }
+
+    /**
+     * Open a recognition session
+     */
+    startRecognition() {
+        if (this.running) {
+            return;
+        }
+
+        if (!this.recognition) {
+            const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+            this.recognition = new Recognition();
+            this.recognition.continuous = true;
+            this.recognition.interimResults = false;
+            this.recognition.maxAlternatives = 3;
+            this.recognition.onresult = (event) => this.handleResult(event);
+            this.recognition.onerror = (event) => this.handleError(event);
+            this.recognition.onend = () => this.handleEnd();
+        }
+        this.recognition.lang = this.lang;
+
+        try {
+            this.recognition.start();
+            this.running = true;
+        } catch (error) {
+            // start() throws if a session is still closing - onend restarts it
+            console.warn('[VoiceCommands] ⚠️ Could not start recognition:', error.message);
+        }
+    }
+
+    /**
+     * Close the recognition session, dropping anything not yet recognized
+     */
+    stopRecognition() {
+        if (this.recognition && this.running) {
+            this.recognition.abort();
+        }
+    }
+
+    /**
+     * Match each final result; the first alternative that matches an intent wins
+     */
+    handleResult(event) {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (!result.isFinal || this.paused) {
+                continue;
+            }
+
+            const alternatives = Array.from(result, (alternative) => alternative.transcript.trim()).filter(Boolean);
+            console.log('[VoiceCommands] 🎙️ Heard:', alternatives);
+
+            let matched = null;
+            for (const transcript of alternatives) {
+                matched = this.match(transcript);
+                if (matched) {
+                    console.log('[VoiceCommands] ✅ Intent:', matched.intent.name, matched.params);
+                    if (this.onCommand) {
+                        this.onCommand(matched.intent, matched.params, transcript);
+                    }
+                    break;
+                }
+            }
+
+            if (!matched && alternatives.length > 0 && this.onUnrecognized) {
+                this.onUnrecognized(alternatives[0]);
+            }
+        }
+    }
+
+    handleError(event) {
+        // 'no-speech' and 'aborted' are routine (silence, pause())
+        if (event.error === 'no-speech' || event.error === 'aborted') {
+            return;
+        }
+        console.error('[VoiceCommands] ❌ Recognition error:', event.error);
+
+        // Permission denied: stop for good instead of restarting in a loop
+        if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+            this.listening = false;
+            this.notifyState();
+        }
+        if (this.onError) {
+            this.onError(event.error);
+        }
+    }
+
+    /**
+     * Browsers end continuous sessions after silence - restart while wanted
+     */
+    handleEnd() {
+        this.running = false;
+        if (this.listening && !this.paused) {
+            this.startRecognition();
+        }
+    }
+
+    notifyState() {
+        if (this.onStateChange) {
+            this.onStateChange(this.listening);
+        }
+    }
+}
+
+export { VoiceCommands };
@@ -0,0 +1,45 @@
+// Builds the deployable frontend in public/ with a stamped service worker
+//
+// Copies the static shell (index.html, manifest, css/, js/, assets/) and
+// writes public/sw.js with CACHE_VERSION set to a content hash of SHELL_FILES,
+// so every shell change ships a new worker and the update prompt. The tracked
+// sw.js keeps 'dev' (network only), so local builds leave no diff.
+// Runs as the build step on deploy (npm run build).
+import { createHash } from 'node:crypto';
+import { cpSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const STATIC_ENTRIES = ['index.html', 'manifest.webmanifest', 'css', 'js', 'assets'];
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const outDir = join(root, 'public');
+const source = readFileSync(join(root, 'sw.js'), 'utf8');
+
+// The file list lives in sw.js only, so the hash can't miss a shell file
+const list = source.match(/const SHELL_FILES = \[([\s\S]*?)\];/);
+if (!list || !/const CACHE_VERSION = 'dev';/.test(source)) {
+  console.error("❌ [stamp-sw] sw.js needs SHELL_FILES and CACHE_VERSION = 'dev'");
+  process.exit(1);
+}
+const files = [...list[1].matchAll(/'([^']+)'/g)]
+  .map((match) => match[1])
+  .filter((file) => file !== './'); // Same response as index.html
+
+const hash = createHash('sha256');
+for (const file of files) {
+  hash.update(file);
+  hash.update(readFileSync(join(root, file)));
+}
+const version = hash.digest('hex').slice(0, 12);
+
+rmSync(outDir, { recursive: true, force: true });
+mkdirSync(outDir);
+for (const entry of STATIC_ENTRIES) {
+  cpSync(join(root, entry), join(outDir, entry), { recursive: true });
+}
+writeFileSync(
+  join(outDir, 'sw.js'),
+  source.replace("const CACHE_VERSION = 'dev';", `const CACHE_VERSION = '${version}';`)
+);
+console.log(`✅ [stamp-sw] public/ built, CACHE_VERSION = ${version} (${files.length} shell files)`);
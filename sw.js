@@ -0,0 +1,94 @@
+/**
+ * Service worker - offline app shell for the installable PWA
+ * Precaches index.html, css/ and js/ so SideKick opens without a connection.
+ * /api/* is never cached: every analysis needs a live answer.
+ *
+ * The whole shell (page loads included) is served from one cache, so HTML,
+ * CSS and JS always come from the same version. CACHE_VERSION is a content
+ * hash of SHELL_FILES, set in the public/ copy by scripts/stamp-sw.js
+ * (npm run build): any shell change makes a new worker, which waits until the
+ * page accepts the update prompt (js/pwa.js).
+ *
+ * The source file keeps 'dev': served unstamped (local development) the worker
+ * caches nothing and leaves every request to the network, so edits show up on
+ * reload. It still takes over from an older worker to clear its cache.
+ */
+
+const CACHE_VERSION = 'dev';
+const CACHE_NAME = `sidekick-shell-${CACHE_VERSION}`;
+const DEV = CACHE_VERSION === 'dev';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/announcer.js',
+    'js/api.js',
+    'js/app.js',
+    'js/audio-cues.js',
+    'js/camera.js',
+    'js/config.js',
+    'js/gestures.js',
+    'js/haptics.js',
+    'js/pwa.js',
+    'js/sentence-buffer.js',
+    'js/settings.js',
+    'js/speech.js',
+    'js/tts-queue.js',
+    'js/voice-commands.js',
+    'assets/icon-192.png',
+    'assets/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    console.log(`[SW] Installing ${CACHE_NAME}`);
+    if (DEV) {
+        self.skipWaiting();
+        return;
+    }
+    // Bypass the HTTP cache so the new version is not filled with old files
+    const requests = SHELL_FILES.map((file) => new Request(file, { cache: 'reload' }));
+    event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(requests)));
+});
+
+// Drop shells of older versions (all of them in dev)
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(
+                names
+                    .filter((name) => name.startsWith('sidekick-shell-') && name !== CACHE_NAME)
+                    .map((name) => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by js/pwa.js when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // API calls and other origins go straight to the network, uncached
+    if (DEV || request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    // Page loads get the cached index.html of the same version as the cached
+    // JS and CSS (every non-file route is the SPA, see vercel.json)
+    const lookup = request.mode === 'navigate' ? 'index.html' : request;
+
+    // Shell files: this version's cache first (replaced by the next CACHE_VERSION)
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.match(lookup))
+            .then((cached) => cached || fetch(request))
+    );
+});